@@ -6,14 +6,38 @@ let allFlags = {};
 
 async function loadFlagDefinitions() {
   try {
-    const response = await fetch('/flag-definitions');
+    const response = await apiFetch('/flag-definitions');
     allFlags = await response.json();
     generateDynamicUI();
+    markUnsupportedFlags();
   } catch (error) {
     console.error('Failed to load flag definitions:', error);
   }
 }
 
+// Warn on flags the installed llama-server does not list in its --help
+async function markUnsupportedFlags() {
+  try {
+    const response = await apiFetch('/flag-definitions/report');
+    if (!response.ok) return;
+    const report = await response.json();
+
+    for (const flagName of report.removed) {
+      const input = document.getElementById(flagName);
+      const group = input && input.closest('.form-group');
+      if (!group) continue;
+
+      group.classList.add('unsupported');
+      const warning = document.createElement('small');
+      warning.className = 'flag-warning';
+      warning.textContent = 'Not supported by the installed llama-server';
+      group.appendChild(warning);
+    }
+  } catch (error) {
+    console.error('Failed to check flag support:', error);
+  }
+}
+
 function generateDynamicUI() {
   // Group flags by section
   const sections = {};
@@ -87,6 +111,10 @@ function createFormSection(sectionName, flags) {
 }
 
 function createFormControl(flag) {
+  if (flag.repeatable) {
+    return createRepeatableControl(flag);
+  }
+
   const group = document.createElement('div');
   group.className = 'form-group';
 
@@ -186,10 +214,13 @@ function createFormControl(flag) {
       }
       group.appendChild(fileLabel);
       
+      // llama-server opens the path itself, so it is typed (or picked from the model library) rather than uploaded
       input = document.createElement('input');
-      input.type = flag.name === 'model' ? 'text' : 'file';
+      input.type = 'text';
       input.id = flag.name;
       input.name = flag.name;
+      input.placeholder = 'path';
+      input.setAttribute('list', 'model-files');
       if (flag.default) input.value = flag.default;
       break;
 
@@ -221,10 +252,109 @@ function createFormControl(flag) {
   return group;
 }
 
+// A list of rows for flags that can be given several times; scaled flags get a scale per row
+function createRepeatableControl(flag) {
+  const group = document.createElement('div');
+  group.className = 'form-group form-group-repeatable';
+
+  const label = document.createElement('label');
+  label.textContent = capitalize(flag.name);
+  group.appendChild(label);
+
+  const list = document.createElement('div');
+  list.className = 'repeatable-list';
+  list.id = flag.name;
+  group.appendChild(list);
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'btn btn-secondary';
+  addBtn.textContent = '+ Add';
+  addBtn.addEventListener('click', () => {
+    addRepeatableRow(flag, list);
+    list.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  group.appendChild(addBtn);
+
+  const small = document.createElement('small');
+  small.textContent = flag.description;
+  group.appendChild(small);
+
+  return group;
+}
+
+function addRepeatableRow(flag, list, entry) {
+  const row = document.createElement('div');
+  row.className = 'repeatable-row';
+
+  const valueInput = document.createElement('input');
+  valueInput.type = 'text';
+  valueInput.className = 'repeatable-value';
+  valueInput.placeholder = flag.type === 'file' ? 'path' : 'value';
+  valueInput.value = (flag.scaled ? entry?.path : entry) ?? '';
+  row.appendChild(valueInput);
+
+  if (flag.scaled) {
+    const scaleInput = document.createElement('input');
+    scaleInput.type = 'number';
+    scaleInput.step = '0.05';
+    scaleInput.className = 'repeatable-scale';
+    scaleInput.title = 'scale';
+    scaleInput.value = entry?.scale ?? 1;
+    row.appendChild(scaleInput);
+  }
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'btn btn-danger';
+  removeBtn.textContent = '\u00d7';
+  removeBtn.title = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    list.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  row.appendChild(removeBtn);
+
+  list.appendChild(row);
+}
+
+// Replace the rows of a repeatable flag; a single value is treated as a list of one
+function setRepeatableValues(flagName, values) {
+  const list = document.getElementById(flagName);
+  list.innerHTML = '';
+  const entries = Array.isArray(values) ? values : (values === null || values === undefined ? [] : [values]);
+  for (const entry of entries) {
+    addRepeatableRow(allFlags[flagName], list, entry);
+  }
+}
+
+function getRepeatableValues(flagName) {
+  const flagDef = allFlags[flagName];
+  const values = [];
+
+  for (const row of document.getElementById(flagName).querySelectorAll('.repeatable-row')) {
+    const value = row.querySelector('.repeatable-value').value.trim();
+    if (!value) continue;
+
+    if (flagDef.scaled) {
+      const scale = parseFloat(row.querySelector('.repeatable-scale').value);
+      values.push({ path: value, scale: isNaN(scale) ? null : scale });
+    } else {
+      values.push(value);
+    }
+  }
+  return values;
+}
+
 function populateFormDefaults() {
   const form = document.getElementById('server-config');
   
   for (const [flagName, flagDef] of Object.entries(allFlags)) {
+    if (flagDef.repeatable) {
+      setRepeatableValues(flagName, []);
+      continue;
+    }
+
     const input = form.elements[flagName];
     if (!input) continue;
 
@@ -248,6 +378,14 @@ function getFormValues() {
   const values = {};
 
   for (const [flagName, flagDef] of Object.entries(allFlags)) {
+    if (flagDef.repeatable) {
+      const entries = getRepeatableValues(flagName);
+      if (entries.length > 0) {
+        values[flagName] = entries;
+      }
+      continue;
+    }
+
     const input = form.elements[flagName];
     if (!input) continue;
 
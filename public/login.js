@@ -0,0 +1,58 @@
+// Login page: shown instead of the web UI when authentication is enabled
+
+const loginForm = document.getElementById('login-form');
+const loginError = document.getElementById('login-error');
+const loginBtn = document.getElementById('login-btn');
+
+// Show the configured ways to log in, or go straight to the web UI when no login is needed
+async function loadAuthStatus() {
+    try {
+        const response = await fetch('/auth/status');
+        const status = await response.json();
+        if (status.authenticated) {
+            window.location.href = '/';
+            return;
+        }
+        const token = status.methods.includes('token');
+        const password = status.methods.includes('password');
+        document.getElementById('login-token').style.display = token ? 'flex' : 'none';
+        document.getElementById('login-password').style.display = password ? 'flex' : 'none';
+        document.getElementById('login-or').style.display = token && password ? 'block' : 'none';
+    } catch (error) {
+        loginError.textContent = `Could not reach Yapper: ${error.message}`;
+    }
+}
+
+loginForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    // A token, when one was typed, else the username and password
+    const token = document.getElementById('token').value;
+    const body = token
+        ? { token }
+        : { username: document.getElementById('username').value, password: document.getElementById('password').value };
+
+    loginBtn.disabled = true;
+    loginBtn.innerHTML = '<span class="loading"></span> Logging in...';
+    loginError.textContent = '';
+    try {
+        const response = await fetch('/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (response.ok) {
+            window.location.href = '/';
+            return;
+        }
+        loginError.textContent = result.error;
+    } catch (error) {
+        loginError.textContent = `Login failed: ${error.message}`;
+    } finally {
+        loginBtn.disabled = false;
+        loginBtn.innerHTML = 'Log In';
+    }
+});
+
+loadAuthStatus();
@@ -1,15 +1,62 @@
+// Fetch from Yapper itself. With authentication enabled, state-changing requests carry the session's
+// CSRF token (from its cookie), and a request turned away because the session ended goes back to the
+// login page.
+function csrfToken() {
+    const match = /(?:^|;\s*)yapper_csrf=([^;]+)/.exec(document.cookie);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+async function apiFetch(resource, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const token = csrfToken();
+    if (method !== 'GET' && method !== 'HEAD' && token) {
+        options = { ...options, headers: { ...options.headers, 'X-CSRF-Token': token } };
+    }
+    const response = await fetch(resource, options);
+    // A 401 can also come from llama-server itself (--api-key); only leave when Yapper wants a login
+    if (response.status === 401 && resource !== '/auth/status') {
+        const status = await (await fetch('/auth/status')).json();
+        if (!status.authenticated) {
+            window.location.href = '/login.html';
+        }
+    }
+    return response;
+}
+
 // Global state
 let serverStatus = 'stopped';
-let logs = [];
-let statusInterval;
+let instances = [];
+let logsByInstance = {};
+let lastLogId = 0;
+let logBootId = null;
+let eventSource = null;
 let currentTab = 'control';
+let logsSearchActive = false;
+
+// Log lines kept per instance in the browser
+const MAX_LOG_ENTRIES = 2000;
 
 // DOM elements
 const statusDisplay = document.getElementById('server-status');
 const startBtn = document.getElementById('start-btn');
 const stopBtn = document.getElementById('stop-btn');
 const openChatBtn = document.getElementById('open-chat-btn');
+const instanceNameInput = document.getElementById('instance-name');
+const instancesList = document.getElementById('instances-list');
+const profileSelect = document.getElementById('profile-select');
+const profileNameInput = document.getElementById('profile-name');
+const profileSaveBtn = document.getElementById('profile-save-btn');
+const profileDuplicateBtn = document.getElementById('profile-duplicate-btn');
+const profileDeleteBtn = document.getElementById('profile-delete-btn');
+const buildSelect = document.getElementById('build-select');
 const logsContainer = document.getElementById('logs-container');
+const logsContainerFull = document.getElementById('logs-container-full');
+const logsRunSelect = document.getElementById('logs-run');
+const logsSearchInput = document.getElementById('logs-search');
+const logsRegexCheckbox = document.getElementById('logs-regex');
+const logsSearchBtn = document.getElementById('logs-search-btn');
+const logsDownloadBtn = document.getElementById('logs-download-btn');
+const logsStatus = document.getElementById('logs-status');
 const configForm = document.getElementById('server-config');
 const testApiBtn = document.getElementById('test-api-btn');
 const apiResponse = document.getElementById('api-response');
@@ -89,17 +136,23 @@ function showConfirm(title, message) {
 // Close modal when clicking overlay
 modalOverlay.addEventListener('click', hideModal);
 
+// Every file in the model library (models and projectors), from the last /models scan
+let modelLibrary = [];
+
 // Check for available models
 async function checkAvailableModels() {
     try {
-        const response = await fetch('/models');
-        const models = await response.json();
+        const response = await apiFetch('/models');
+        modelLibrary = await response.json();
+        const models = modelLibrary.filter(model => model.kind === 'model');
         
         const modelSelect = document.getElementById('model');
         const modelsWarning = document.getElementById('models-warning');
+        const selected = modelSelect.value;
         
         // Clear existing options (except the default one)
         modelSelect.innerHTML = '<option value="">-- Select a model --</option>';
+        renderModelLibrary();
         
         if (models.length === 0) {
             // No models found
@@ -116,10 +169,27 @@ async function checkAvailableModels() {
             models.forEach(model => {
                 const option = document.createElement('option');
                 option.value = model.path;
-                option.textContent = `${model.name} (${formatFileSize(model.size)})`;
+                option.dataset.name = model.name;
+                const facts = model.metadata ? describeModel(model.metadata) : [];
+                if (model.split) {
+                    facts.push(model.complete
+                        ? `${model.split.count} parts`
+                        : `missing ${model.split.missing.length} of ${model.split.count} parts`);
+                }
+                option.textContent = `${model.name} (${[...facts, formatFileSize(model.size)].join(', ')})`;
                 modelSelect.appendChild(option);
             });
         }
+        if (selected) {
+            // Keep a selected path that is not (or no longer) in the library, as import does
+            if (!models.some(model => model.path === selected)) {
+                const option = document.createElement('option');
+                option.value = selected;
+                option.textContent = selected;
+                modelSelect.appendChild(option);
+            }
+            modelSelect.value = selected;
+        }
         return true;
     } catch (error) {
         console.error('Error checking models:', error);
@@ -127,6 +197,31 @@ async function checkAvailableModels() {
     }
 }
 
+// Fill the library file list and the path suggestions of file flags (mmproj, model-draft, ...)
+function renderModelLibrary() {
+    const librarySelect = document.getElementById('library-select');
+    const selected = librarySelect.value;
+    librarySelect.innerHTML = '<option value="">-- Select a file --</option>';
+    const datalist = document.getElementById('model-files');
+    datalist.innerHTML = '';
+
+    modelLibrary.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.name;
+        const notes = [model.kind === 'mmproj' ? 'projector' : null, model.split ? `${model.files.length}/${model.split.count} parts` : null, formatFileSize(model.size)];
+        option.textContent = `${model.name} (${notes.filter(Boolean).join(', ')})`;
+        librarySelect.appendChild(option);
+
+        const suggestion = document.createElement('option');
+        suggestion.value = model.path;
+        datalist.appendChild(suggestion);
+    });
+
+    if (modelLibrary.some(model => model.name === selected)) {
+        librarySelect.value = selected;
+    }
+}
+
 // Helper function to format file size
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -136,291 +231,1902 @@ function formatFileSize(bytes) {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
-// Tab switching
-document.querySelectorAll('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        const tabName = btn.dataset.tab;
-        switchTab(tabName);
-    });
-});
+// Human readable parameter count, e.g. 8.03B
+function formatParameterCount(count) {
+    if (count >= 1e9) return (count / 1e9).toFixed(count >= 1e10 ? 0 : 1) + 'B';
+    if (count >= 1e6) return Math.round(count / 1e6) + 'M';
+    return String(count);
+}
 
-function switchTab(tabName) {
-    currentTab = tabName;
-    
-    // Update button states
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.tab === tabName);
-    });
-    
-    // Hide everything by default
-    const controlPanel = document.querySelector('.control-panel');
-    const apiPanel = document.querySelector('.api-panel');
-    const logsTab = document.getElementById('logs-tab');
-    
-    controlPanel.style.display = 'none';
-    apiPanel.style.display = 'none';
-    logsTab.style.display = 'none';
-    
-    // Show the selected tab
-    if (tabName === 'control') {
-        controlPanel.style.display = 'block';
-        apiPanel.style.display = 'block';
-    } else if (tabName === 'logs') {
-        logsTab.style.display = 'block';
-        updateLogsDisplayFull();
+// Context length in K, e.g. 131072 -> 128K
+function formatContextLength(length) {
+    return length >= 1024 ? Math.round(length / 1024) + 'K' : String(length);
+}
+
+// Key facts about a model from its GGUF metadata
+function describeModel(metadata) {
+    const facts = [];
+    if (metadata.architecture) facts.push(metadata.architecture);
+    if (metadata.sizeLabel || metadata.parameterCount) {
+        facts.push(metadata.sizeLabel || formatParameterCount(metadata.parameterCount));
     }
+    if (metadata.quantization) facts.push(metadata.quantization);
+    if (metadata.contextLength) facts.push(`${formatContextLength(metadata.contextLength)} ctx`);
+    return facts;
 }
 
-function updateLogsDisplayFull() {
-    const logsContainer = document.getElementById('logs-container-full');
-    logsContainer.innerHTML = '';
+// Show the selected model's metadata and offer suggested ctx-size / gpu-layers
+async function showModelInfo() {
+    const modelSelect = document.getElementById('model');
+    const info = document.getElementById('model-info');
+    const option = modelSelect.selectedOptions[0];
+    info.innerHTML = '';
 
-    logs.forEach(log => {
-        const logEntry = document.createElement('div');
-        logEntry.className = `log-entry ${log.type}`;
-        logEntry.textContent = `[${new Date(log.timestamp).toLocaleTimeString()}] ${log.message.trim()}`;
-        logsContainer.appendChild(logEntry);
-    });
+    if (!option || !option.dataset.name) return;
+    const name = option.dataset.name;
+
+    try {
+        const response = await apiFetch(`/models/${encodeURIComponent(name)}/metadata`);
+        const metadata = await response.json();
+        // Ignore answers for a model that is no longer selected
+        if (modelSelect.selectedOptions[0] !== option) return;
+        if (!response.ok) {
+            info.textContent = metadata.error;
+            return;
+        }
+
+        const details = [
+            ...describeModel(metadata),
+            metadata.blockCount && `${metadata.blockCount} layers`,
+            metadata.embeddingLength && `${metadata.embeddingLength} embd`,
+            metadata.tokenizer && `${metadata.tokenizer} tokenizer`,
+            metadata.chatTemplate ? 'chat template' : 'no chat template'
+        ].filter(Boolean);
+        const detailsEl = document.createElement('div');
+        detailsEl.textContent = details.join(' · ');
+        info.appendChild(detailsEl);
+
+        const model = modelLibrary.find(entry => entry.name === name);
+        if (model && (model.companions.mmproj.length > 0 || model.companions.draft.length > 0)) {
+            const companionsEl = document.createElement('div');
+            companionsEl.textContent = [
+                model.companions.mmproj.length > 0 && `Projector: ${model.companions.mmproj.join(', ')}`,
+                model.companions.draft.length > 0 && `Draft candidates: ${model.companions.draft.join(', ')}`
+            ].filter(Boolean).join(' · ');
+            info.appendChild(companionsEl);
+        }
+
+        const suggested = Object.entries(metadata.suggested);
+        if (suggested.length > 0) {
+            const applyBtn = document.createElement('button');
+            applyBtn.type = 'button';
+            applyBtn.className = 'btn btn-secondary';
+            applyBtn.textContent = `Use ${suggested.map(([flag, value]) => `${flag} ${value}`).join(', ')}`;
+            applyBtn.addEventListener('click', () => {
+                applyConfig(metadata.suggested);
+                configForm.dispatchEvent(new Event('change'));
+            });
+            info.appendChild(applyBtn);
+        }
+    } catch (error) {
+        console.error('Error loading model metadata:', error);
+    }
+}
 
-    // Auto-scroll to bottom
-    logsContainer.scrollTop = logsContainer.scrollHeight;
+// Companion values filled in for the previous model; they are replaced when another model is picked,
+// while paths the user typed are left alone
+const autoFilledCompanions = {};
+
+// Fill mmproj and model-draft with the best companion files of the selected model
+function fillModelCompanions() {
+    const option = document.getElementById('model').selectedOptions[0];
+    const model = option && modelLibrary.find(entry => entry.name === option.dataset.name);
+    const noMmproj = configForm.elements['no-mmproj'];
+    const companions = {
+        mmproj: model && !(noMmproj && noMmproj.checked) ? model.companions.mmproj[0] : undefined,
+        'model-draft': model ? model.companions.draft[0] : undefined
+    };
+
+    for (const [flag, value] of Object.entries(companions)) {
+        const input = configForm.elements[flag];
+        if (!input || (input.value && input.value !== autoFilledCompanions[flag])) continue;
+        input.value = value || '';
+        autoFilledCompanions[flag] = value;
+    }
 }
 
-// Initialize when dynamic UI is ready
-document.addEventListener('dynamicUIReady', async () => {
-    await checkAvailableModels();
-    loadSavedConfig();
-    updateCommandPreview();
-    updateStatus();
-    startStatusPolling();
-    
-    // Set up auto-save
-    configForm.addEventListener('change', saveConfig);
-    configForm.addEventListener('input', saveConfig);
-    configForm.addEventListener('change', updateCommandPreview);
-    configForm.addEventListener('input', updateCommandPreview);
+document.getElementById('model').addEventListener('change', () => {
+    fillModelCompanions();
+    showModelInfo();
 });
 
-// Start/stop server functions
-startBtn.addEventListener('click', async () => {
-    try {
-        startBtn.disabled = true;
-        startBtn.innerHTML = '<span class="loading"></span> Starting...';
+// Model downloads, kept current by the event stream
+let downloads = [];
 
-        const config = getFormValues();
+// Pending refresh of the model list after library changes on disk
+let modelsRefreshTimer = null;
+
+// A download source is a URL or owner/repo/path/to/file.gguf on the hub
+function parseDownloadSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+        return { url: source };
+    }
+    const [owner, repo, ...file] = source.replace(/^\/+/, '').split('/');
+    return { repo: `${owner}/${repo}`, file: file.join('/') };
+}
 
-        const response = await fetch('/start-server', {
+document.getElementById('download-btn').addEventListener('click', async () => {
+    const source = document.getElementById('download-source').value.trim();
+    if (!source) {
+        await showAlert('Download model', 'Enter a URL or a Hugging Face path such as owner/repo/model.gguf.');
+        return;
+    }
+    const body = {
+        ...parseDownloadSource(source),
+        name: document.getElementById('download-name').value.trim() || undefined,
+        sha256: document.getElementById('download-sha256').value.trim() || undefined
+    };
+
+    try {
+        const response = await apiFetch('/downloads', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(config)
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
         });
-
         const result = await response.json();
 
         if (response.ok) {
-            await showAlert('Success', 'Server started successfully!');
-            updateStatus();
+            document.getElementById('download-source').value = '';
+            document.getElementById('download-name').value = '';
+            document.getElementById('download-sha256').value = '';
         } else {
             await showAlert('Error', result.error);
         }
     } catch (error) {
-        console.error('Error starting server:', error);
-        await showAlert('Error', 'Error starting server: ' + error.message);
-    } finally {
-        startBtn.disabled = false;
-        startBtn.innerHTML = 'Start Server';
+        console.error('Error starting download:', error);
+        await showAlert('Error', 'Error starting download: ' + error.message);
     }
 });
 
-stopBtn.addEventListener('click', async () => {
-     try {
-         stopBtn.disabled = true;
-         stopBtn.innerHTML = '<span class="loading"></span> Stopping...';
-
-         const response = await fetch('/stop-server', {
-             method: 'POST'
-         });
-
-         const result = await response.json();
-
-         if (response.ok) {
-             await showAlert('Success', 'Server stop signal sent!');
-             updateStatus();
-         } else {
-             await showAlert('Error', result.error);
-         }
-     } catch (error) {
-         console.error('Error stopping server:', error);
-         await showAlert('Error', 'Error stopping server: ' + error.message);
-     } finally {
-         stopBtn.disabled = false;
-         stopBtn.innerHTML = 'Stop Server';
-     }
- });
+// Pause, resume or cancel a download
+async function downloadAction(download, action) {
+    const response = action === 'cancel'
+        ? await apiFetch(`/downloads/${download.id}`, { method: 'DELETE' })
+        : await apiFetch(`/downloads/${download.id}/${action}`, { method: 'POST' });
+    if (!response.ok) {
+        const result = await response.json();
+        await showAlert('Error', result.error);
+    }
+}
 
- openChatBtn.addEventListener('click', () => {
-     const port = document.getElementById('port').value || '5005';
-     const host = document.getElementById('host').value || '127.0.0.1';
-     const chatUrl = `http://${host}:${port}`;
-     window.open(chatUrl, '_blank');
- });
+function renderDownloads() {
+    const list = document.getElementById('downloads-list');
+    list.innerHTML = '';
 
-// Update server status display
-async function updateStatus() {
-    try {
-        const response = await fetch('/server-status');
-        const data = await response.json();
+    downloads.forEach(download => {
+        const card = document.createElement('div');
+        card.className = `download-card ${download.status}`;
 
-        serverStatus = data.status;
-        logs = data.logs || [];
+        const header = document.createElement('div');
+        header.className = 'download-card-header';
+        const name = document.createElement('strong');
+        name.textContent = download.name;
+        const progress = document.createElement('span');
+        const amount = download.total
+            ? `${formatFileSize(download.received)} / ${formatFileSize(download.total)}`
+            : formatFileSize(download.received);
+        progress.textContent = `${download.status} · ${amount}`;
+        header.appendChild(name);
+        header.appendChild(progress);
+        card.appendChild(header);
 
-        // Update status display
-        statusDisplay.textContent = serverStatus.toUpperCase();
-        statusDisplay.className = `status ${serverStatus}`;
+        if (download.status !== 'completed') {
+            const bar = document.createElement('progress');
+            if (download.total) {
+                bar.max = download.total;
+                bar.value = download.received;
+            }
+            card.appendChild(bar);
+        }
 
-        // Update button states
-         startBtn.disabled = serverStatus === 'running' || serverStatus === 'starting';
-         stopBtn.disabled = serverStatus === 'stopped';
-         openChatBtn.disabled = serverStatus !== 'running';
+        if (download.error) {
+            const error = document.createElement('div');
+            error.className = 'download-card-error';
+            error.textContent = download.error;
+            card.appendChild(error);
+        }
 
-        // Update logs
-        updateLogsDisplay();
+        const actions = document.createElement('div');
+        actions.className = 'download-card-actions';
+        const buttons = [];
+        if (download.status === 'queued' || download.status === 'downloading') {
+            buttons.push(['Pause', 'pause', 'btn-secondary']);
+        }
+        if (download.status === 'paused' || download.status === 'failed') {
+            buttons.push([download.status === 'failed' ? 'Retry' : 'Resume', 'resume', 'btn-primary']);
+        }
+        buttons.push([download.status === 'completed' ? 'Dismiss' : 'Cancel', 'cancel', 'btn-danger']);
 
-    } catch (error) {
-        console.error('Error updating status:', error);
-    }
+        buttons.forEach(([label, action, style]) => {
+            const button = document.createElement('button');
+            button.className = `btn ${style}`;
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                try {
+                    await downloadAction(download, action);
+                } catch (error) {
+                    await showAlert('Error', `Error (${action}): ${error.message}`);
+                }
+            });
+            actions.appendChild(button);
+        });
+        card.appendChild(actions);
+        list.appendChild(card);
+    });
 }
 
-// Update logs display
-function updateLogsDisplay() {
-    logsContainer.innerHTML = '';
+// Upload a model with XMLHttpRequest, which (unlike fetch) reports upload progress.
+// Resolves with { ok, result } once the server answers.
+function uploadModel(file, name, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', name ? `/models/upload?name=${encodeURIComponent(name)}` : '/models/upload');
+        if (csrfToken()) xhr.setRequestHeader('X-CSRF-Token', csrfToken());
+        xhr.upload.addEventListener('progress', (event) => {
+            if (event.lengthComputable) onProgress(event.loaded, event.total);
+        });
+        xhr.addEventListener('load', () => {
+            let result;
+            try {
+                result = JSON.parse(xhr.responseText);
+            } catch (e) {
+                result = { error: `Upload failed (HTTP ${xhr.status})` };
+            }
+            resolve({ ok: xhr.status >= 200 && xhr.status < 300, result });
+        });
+        xhr.addEventListener('error', () => reject(new Error('The connection was lost during the upload')));
 
-    logs.forEach(log => {
-        const logEntry = document.createElement('div');
-        logEntry.className = `log-entry ${log.type}`;
-        logEntry.textContent = `[${new Date(log.timestamp).toLocaleTimeString()}] ${log.message.trim()}`;
-        logsContainer.appendChild(logEntry);
+        const form = new FormData();
+        form.append('file', file);
+        xhr.send(form);
     });
+}
 
-    // Auto-scroll to bottom
-    logsContainer.scrollTop = logsContainer.scrollHeight;
+const uploadBtn = document.getElementById('upload-btn');
 
-    // Also update full logs if visible
-    if (currentTab === 'logs') {
-        updateLogsDisplayFull();
+uploadBtn.addEventListener('click', async () => {
+    const file = document.getElementById('upload-file').files[0];
+    const name = document.getElementById('upload-name').value.trim();
+    if (!file) {
+        await showAlert('Upload model', 'Choose a .gguf file to upload.');
+        return;
     }
-}
-
-// Start polling for status updates
-function startStatusPolling() {
-    statusInterval = setInterval(updateStatus, 2000);
-}
 
-// Stop polling
-function stopStatusPolling() {
-    if (statusInterval) {
-        clearInterval(statusInterval);
+    // Check the GGUF magic before sending gigabytes the server would reject
+    const magic = new TextDecoder().decode(await file.slice(0, 4).arrayBuffer());
+    if (magic !== 'GGUF') {
+        await showAlert('Upload model', `'${file.name}' is not a GGUF file.`);
+        return;
     }
-}
 
-// API testing
-testApiBtn.addEventListener('click', async () => {
-    const endpoint = apiEndpoint.value;
-    const requestBody = apiRequest.value;
+    const status = document.getElementById('upload-status');
+    const progress = document.getElementById('upload-progress');
+    const progressText = document.getElementById('upload-progress-text');
+    status.style.display = 'flex';
+    progress.max = file.size;
+    progress.value = 0;
+    progressText.textContent = `0 / ${formatFileSize(file.size)}`;
 
     try {
-        testApiBtn.disabled = true;
-        testApiBtn.innerHTML = '<span class="loading"></span> Testing...';
+        uploadBtn.disabled = true;
+        uploadBtn.innerHTML = '<span class="loading"></span> Uploading...';
 
-        let body;
-        try {
-            body = JSON.parse(requestBody);
-        } catch (e) {
-            await showAlert('Invalid JSON', 'Invalid JSON in request body');
-            return;
+        const { ok, result } = await uploadModel(file, name, (loaded, total) => {
+            progress.max = total;
+            progress.value = loaded;
+            progressText.textContent = `${formatFileSize(loaded)} / ${formatFileSize(total)}`;
+        });
+
+        if (ok) {
+            document.getElementById('upload-file').value = '';
+            document.getElementById('upload-name').value = '';
+            await checkAvailableModels();
+            await showAlert('Success', `Uploaded ${result.name}`);
+        } else {
+            await showAlert('Error', result.error);
         }
+    } catch (error) {
+        console.error('Error uploading model:', error);
+        await showAlert('Error', 'Error uploading model: ' + error.message);
+    } finally {
+        status.style.display = 'none';
+        uploadBtn.disabled = false;
+        uploadBtn.innerHTML = 'Upload';
+    }
+});
 
-        // Call llama-server directly on 127.0.0.1:5005/v1
-        const response = await fetch(`http://127.0.0.1:5005${endpoint}`, {
+// Rename a library file; split models are renamed shard by shard on the server
+document.getElementById('library-rename-btn').addEventListener('click', async () => {
+    const name = document.getElementById('library-select').value;
+    const newName = document.getElementById('library-name').value.trim();
+    if (!name || !newName || newName === name) {
+        await showAlert('Rename model', 'Select a file and enter its new name, e.g. folder/model.gguf.');
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/models/${encodeURIComponent(name)}/rename`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(body)
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: newName })
         });
+        const result = await response.json();
 
-        let result;
-        const contentType = response.headers.get('content-type');
-
-        if (contentType && contentType.includes('application/json')) {
-            result = await response.json();
+        if (response.ok) {
+            document.getElementById('library-name').value = '';
+            await checkAvailableModels();
+            showModelInfo();
         } else {
-            result = await response.text();
+            await showAlert('Error', result.error);
         }
+    } catch (error) {
+        console.error('Error renaming model:', error);
+        await showAlert('Error', 'Error renaming model: ' + error.message);
+    }
+});
 
-        apiResponse.textContent = `Status: ${response.status} ${response.statusText}\n\n${JSON.stringify(result, null, 2)}`;
+document.getElementById('library-delete-btn').addEventListener('click', async () => {
+    const name = document.getElementById('library-select').value;
+    const model = modelLibrary.find(entry => entry.name === name);
+    if (!model) {
+        await showAlert('Delete model', 'Select the file to delete.');
+        return;
+    }
+    const parts = model.split ? ` (all ${model.files.length} parts)` : '';
+    if (!(await showConfirm('Delete model', `Delete '${name}'${parts} from disk? This cannot be undone.`))) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/models/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const result = await response.json();
 
+        if (response.ok) {
+            await checkAvailableModels();
+            showModelInfo();
+        } else {
+            await showAlert('Error', result.error);
+        }
     } catch (error) {
-        console.error('API test error:', error);
-        apiResponse.textContent = `Error: ${error.message}`;
-    } finally {
-        testApiBtn.disabled = false;
-        testApiBtn.innerHTML = 'Test API';
+        console.error('Error deleting model:', error);
+        await showAlert('Error', 'Error deleting model: ' + error.message);
     }
 });
 
-// Handle page unload
-window.addEventListener('beforeunload', () => {
-    stopStatusPolling();
-});
+// Installed llama.cpp builds, from the last /builds request
+let builds = [];
 
-// Load saved configuration
-function loadSavedConfig() {
-    const saved = localStorage.getItem('llama-config');
-    if (saved) {
-        const config = JSON.parse(saved);
-        Object.keys(config).forEach(key => {
-            const element = document.querySelector(`[name="${key}"]`);
-            if (element) {
-                if (element.type === 'checkbox') {
-                    element.checked = config[key];
-                } else {
-                    element.value = config[key];
-                }
-            }
-        });
+// Fill the build picker and the builds panel, keeping the given build selected
+async function loadBuilds(selected = buildSelect.value) {
+    try {
+        const response = await apiFetch('/builds');
+        builds = await response.json();
+        renderBuildOptions(selected);
+        renderBuilds();
+    } catch (error) {
+        console.error('Error loading builds:', error);
     }
 }
 
-// Save configuration
-function saveConfig() {
-    const config = getFormValues();
-    localStorage.setItem('llama-config', JSON.stringify(config));
+function renderBuildOptions(selected) {
+    const active = builds.find(build => build.active);
+    buildSelect.innerHTML = '';
+
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = active ? `Active build (${active.id})` : 'Active build';
+    buildSelect.appendChild(option);
+
+    builds.forEach(build => {
+        const buildOption = document.createElement('option');
+        buildOption.value = build.id;
+        buildOption.textContent = build.id;
+        buildSelect.appendChild(buildOption);
+    });
+
+    // A profile may pin a build that has since been removed; keep it visible so saving does not drop it silently
+    if (selected && !builds.some(build => build.id === selected)) {
+        const missing = document.createElement('option');
+        missing.value = selected;
+        missing.textContent = `${selected} (not installed)`;
+        buildSelect.appendChild(missing);
+    }
+    buildSelect.value = selected || '';
 }
 
-// Update command preview
-function updateCommandPreview() {
-    const config = getFormValues();
-    const serverPath = 'llama-server';
-    const args = [];
-    
-    for (const [key, value] of Object.entries(config)) {
-        if (value !== '' && value !== null && value !== undefined) {
-            if (typeof value === 'boolean') {
-                if (value) args.push(`--${key}`);
-            } else {
-                args.push(`--${key}`, `"${value}"`);
-            }
+function renderBuilds() {
+    const list = document.getElementById('builds-list');
+    list.innerHTML = '';
+
+    if (builds.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'builds-empty';
+        empty.textContent = 'No versioned builds installed';
+        list.appendChild(empty);
+        return;
+    }
+
+    builds.forEach(build => {
+        const card = document.createElement('div');
+        card.className = build.active ? 'build-card active' : 'build-card';
+
+        const details = document.createElement('div');
+        details.className = 'build-card-details';
+        const name = document.createElement('strong');
+        name.textContent = build.active ? `${build.id} (active)` : build.id;
+        const info = document.createElement('span');
+        // Source builds have no release asset; show what they were built from instead
+        const origin = build.asset || (build.commit && build.commit !== build.tag
+            ? `built from ${build.tag} (${build.commit})`
+            : `built from ${build.tag}`);
+        info.textContent = `${origin} · installed ${new Date(build.installedAt).toLocaleString()}`;
+        details.appendChild(name);
+        details.appendChild(info);
+        card.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'build-card-actions';
+        if (!build.active) {
+            const activateBtn = document.createElement('button');
+            activateBtn.className = 'btn btn-primary';
+            activateBtn.textContent = 'Activate';
+            activateBtn.addEventListener('click', () => buildAction(build, 'activate', activateBtn));
+            actions.appendChild(activateBtn);
         }
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => buildAction(build, 'remove', removeBtn));
+        actions.appendChild(removeBtn);
+        card.appendChild(actions);
+
+        list.appendChild(card);
+    });
+}
+
+// Activate or remove a build
+async function buildAction(build, action, button) {
+    if (action === 'remove' &&
+        !(await showConfirm('Remove build', `Delete llama.cpp build '${build.id}' from disk?`))) {
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const response = action === 'remove'
+            ? await apiFetch(`/builds/${encodeURIComponent(build.id)}`, { method: 'DELETE' })
+            : await apiFetch(`/builds/${encodeURIComponent(build.id)}/activate`, { method: 'POST' });
+        const result = await response.json();
+
+        if (response.ok) {
+            await loadBuilds();
+            updateCommandPreview();
+            loadSystemInfo();
+        } else {
+            await showAlert('Error', result.error);
+        }
+    } catch (error) {
+        console.error(`Error (${action}) build:`, error);
+        await showAlert('Error', `Error (${action}) build: ${error.message}`);
+    } finally {
+        button.disabled = false;
     }
-    
-    const fullCommand = [serverPath, ...args].join(' ');
-    const display = document.getElementById('command-display');
-    display.textContent = fullCommand;
 }
 
+buildSelect.addEventListener('change', updateCommandPreview);
+
+// Header line with the llama-server version and backends, CPU, memory and OS
+async function loadSystemInfo() {
+    const line = document.getElementById('system-info');
+    try {
+        const response = await apiFetch('/system-info');
+        const info = await response.json();
+        if (!response.ok) {
+            throw new Error(info.error);
+        }
+
+        const parts = [];
+        const server = info.llamaServer;
+        if (!server) {
+            parts.push({ text: 'llama-server not installed', warning: true });
+        } else if (server.error) {
+            parts.push({ text: 'llama-server version unknown', warning: true });
+        } else {
+            const backends = server.backends.length > 0 ? ` · ${server.backends.join(', ')}` : '';
+            parts.push({ text: `llama.cpp b${server.build} (${server.commit})${backends}` });
+        }
+        if (info.cpu.model) {
+            parts.push({ text: `${info.cpu.model} (${info.cpu.cores} cores)` });
+        }
+        parts.push({ text: `${formatFileSize(info.memory.free)} free of ${formatFileSize(info.memory.total)} RAM` });
+        parts.push({ text: info.os.name });
+
+        line.innerHTML = '';
+        parts.forEach((part, index) => {
+            if (index > 0) line.appendChild(document.createTextNode(' · '));
+            const span = document.createElement('span');
+            if (part.warning) span.className = 'warning';
+            span.textContent = part.text;
+            line.appendChild(span);
+        });
+        line.title = server ? `${server.path}${server.error ? `\n${server.error}` : ''}` : '';
+    } catch (error) {
+        console.error('Error loading system info:', error);
+    }
+}
+
+// The running or last finished llama.cpp install, and the releases it can choose from
+let installJob = null;
+let installReleases = [];
+
+function renderInstallJob() {
+    const status = document.getElementById('install-status');
+    const message = document.getElementById('install-message');
+    const progress = document.getElementById('install-progress');
+    const installBtn = document.getElementById('install-btn');
+    const running = installJob !== null && installJob.status === 'running';
+
+    installBtn.disabled = running;
+    installBtn.innerHTML = running ? '<span class="loading"></span> Installing...' : 'Install';
+
+    if (!installJob) {
+        status.style.display = 'none';
+        return;
+    }
+    status.style.display = 'flex';
+    status.classList.toggle('failed', installJob.status === 'failed');
+
+    if (installJob.status === 'failed') {
+        message.textContent = `Install failed: ${installJob.error}`;
+    } else if (installJob.stage === 'downloading' && installJob.received !== null) {
+        const amount = installJob.total
+            ? `${formatFileSize(installJob.received)} / ${formatFileSize(installJob.total)}`
+            : formatFileSize(installJob.received);
+        message.textContent = `${installJob.message} (${amount})`;
+    } else if (installJob.stage === 'building' && installJob.received !== null) {
+        message.textContent = `${installJob.message} (${installJob.received}%)`;
+    } else {
+        message.textContent = installJob.message;
+    }
+    document.getElementById('install-output').style.display = installJob.source ? 'block' : 'none';
+
+    // Downloads and builds report how far along they are; the other stages show a busy bar
+    progress.style.display = running ? '' : 'none';
+    if (installJob.total) {
+        progress.max = installJob.total;
+        progress.value = installJob.received;
+    } else {
+        progress.removeAttribute('value');
+    }
+}
+
+// Show the output of a source build, up to now
+async function loadInstallOutput() {
+    const output = document.getElementById('install-output');
+    try {
+        const response = await apiFetch('/install/output');
+        const lines = await response.json();
+        output.textContent = lines.length > 0 ? lines.join('\n') + '\n' : '';
+        output.scrollTop = output.scrollHeight;
+    } catch (error) {
+        console.error('Error loading install output:', error);
+    }
+}
+
+function appendInstallOutput(line) {
+    const output = document.getElementById('install-output');
+    const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+    output.textContent += line + '\n';
+    if (atBottom) output.scrollTop = output.scrollHeight;
+}
+
+// Variants of the release picked for the next install, as suggestions for the variant field
+function renderInstallVariants() {
+    const tag = document.getElementById('install-tag').value;
+    const release = installReleases.find(r => r.tag === tag) || installReleases[0];
+    const datalist = document.getElementById('install-variants');
+    datalist.innerHTML = '';
+    (release ? release.variants : []).forEach(variant => {
+        const option = document.createElement('option');
+        option.value = variant;
+        datalist.appendChild(option);
+    });
+}
+
+async function loadReleases() {
+    const tagSelect = document.getElementById('install-tag');
+    try {
+        const response = await apiFetch('/install/releases');
+        const result = await response.json();
+        if (!response.ok) {
+            console.error('Error loading releases:', result.error);
+            return;
+        }
+
+        installReleases = result.releases;
+        const selected = tagSelect.value;
+        tagSelect.innerHTML = '';
+        const configured = document.createElement('option');
+        configured.value = '';
+        configured.textContent = `Configured release (${result.tag})`;
+        tagSelect.appendChild(configured);
+        installReleases.forEach(release => {
+            const option = document.createElement('option');
+            option.value = release.tag;
+            option.textContent = release.publishedAt
+                ? `${release.tag} (${new Date(release.publishedAt).toLocaleDateString()})`
+                : release.tag;
+            tagSelect.appendChild(option);
+        });
+        tagSelect.value = installReleases.some(release => release.tag === selected) ? selected : '';
+
+        document.getElementById('install-variant').placeholder = result.variants.length > 0
+            ? `Variant (default: ${result.variants.join(', ')})`
+            : 'Variant, e.g. ubuntu-vulkan-x64';
+        renderInstallVariants();
+    } catch (error) {
+        console.error('Error loading releases:', error);
+    }
+}
+
+// Start a background install; progress arrives as 'install' events
+async function startInstall(body) {
+    try {
+        const response = await apiFetch('/install', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            installJob = result;
+            document.getElementById('install-output').textContent = '';
+            renderInstallJob();
+        } else {
+            await showAlert('Error', result.error);
+        }
+    } catch (error) {
+        console.error('Error starting install:', error);
+        await showAlert('Error', 'Error starting install: ' + error.message);
+    }
+}
+
+// Show whether a newer llama.cpp release than the active build is out. Errors are only
+// reported when the check was asked for (refresh), not on page load.
+async function refreshUpdateStatus(refresh = false) {
+    const panel = document.getElementById('update-status');
+    try {
+        const response = await apiFetch(`/install/update${refresh ? '?refresh=true' : ''}`);
+        const result = await response.json();
+        if (!response.ok) {
+            if (refresh) await showAlert('Error', `Could not check for updates: ${result.error}`);
+            return;
+        }
+
+        panel.innerHTML = '';
+        panel.classList.toggle('available', result.updateAvailable === true);
+        const text = document.createElement('span');
+        if (!result.installed && result.external) {
+            // A llama-server Yapper did not install, compared by the build number it reports
+            const build = result.external.build !== null ? `build b${result.external.build}` : 'unknown build';
+            text.textContent = result.updateAvailable
+                ? `Update available: ${result.latest.tag} (using ${result.external.path}, ${build})`
+                : `Latest llama.cpp release: ${result.latest.tag} (using ${result.external.path}, ${build})`;
+        } else if (!result.installed) {
+            text.textContent = `Latest llama.cpp release: ${result.latest.tag}. No managed build is active.`;
+        } else if (result.updateAvailable === null) {
+            // A source build of a branch or commit cannot be compared with a release
+            text.textContent = `Latest llama.cpp release: ${result.latest.tag} (active build: built from source at ${result.installed.tag})`;
+        } else if (result.updateAvailable) {
+            text.textContent = `Update available: ${result.latest.tag} (active build: ${result.installed.tag})`;
+        } else {
+            text.textContent = `Up to date (${result.installed.tag})`;
+        }
+        panel.appendChild(text);
+
+        if (result.updateAvailable) {
+            const updateBtn = document.createElement('button');
+            updateBtn.className = 'btn btn-primary';
+            updateBtn.textContent = result.installed ? 'Update' : 'Install';
+            updateBtn.disabled = installJob !== null && installJob.status === 'running';
+            // Stay with the active build's variant (e.g. Vulkan), or build the new release from source again
+            updateBtn.addEventListener('click', () => startInstall(result.installed && result.installed.source
+                ? { source: true, ref: result.latest.tag }
+                : { tag: result.latest.tag, variant: result.installed ? result.installed.variant : undefined }));
+            panel.appendChild(updateBtn);
+        }
+    } catch (error) {
+        console.error('Error checking for updates:', error);
+        if (refresh) await showAlert('Error', 'Error checking for updates: ' + error.message);
+    }
+}
+
+document.getElementById('install-tag').addEventListener('change', renderInstallVariants);
+
+// A source build takes the picked release as the ref to build; variants only apply to prebuilt releases
+document.getElementById('install-source').addEventListener('change', (event) => {
+    document.getElementById('install-variant').disabled = event.target.checked;
+});
+
+document.getElementById('install-btn').addEventListener('click', () => {
+    const tag = document.getElementById('install-tag').value || undefined;
+    if (document.getElementById('install-source').checked) {
+        startInstall({ source: true, ref: tag });
+        return;
+    }
+    startInstall({
+        tag,
+        variant: document.getElementById('install-variant').value.trim() || undefined
+    });
+});
+
+document.getElementById('update-check-btn').addEventListener('click', async () => {
+    const button = document.getElementById('update-check-btn');
+    button.disabled = true;
+    button.innerHTML = '<span class="loading"></span> Checking...';
+    try {
+        await Promise.all([refreshUpdateStatus(true), loadReleases()]);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = 'Check for Updates';
+    }
+});
+
+// Tab switching
+document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const tabName = btn.dataset.tab;
+        switchTab(tabName);
+    });
+});
+
+function switchTab(tabName) {
+    currentTab = tabName;
+    
+    // Update button states
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tabName);
+    });
+    
+    // Hide everything by default
+    const controlPanel = document.querySelector('.control-panel');
+    const apiPanel = document.querySelector('.api-panel');
+    const logsTab = document.getElementById('logs-tab');
+    const settingsTab = document.getElementById('settings-tab');
+    
+    controlPanel.style.display = 'none';
+    apiPanel.style.display = 'none';
+    logsTab.style.display = 'none';
+    settingsTab.style.display = 'none';
+    
+    // Show the selected tab
+    if (tabName === 'control') {
+        controlPanel.style.display = 'block';
+        apiPanel.style.display = 'block';
+    } else if (tabName === 'logs') {
+        logsTab.style.display = 'block';
+        logsContainerFull.scrollTop = logsContainerFull.scrollHeight;
+        loadLogRuns();
+    } else if (tabName === 'settings') {
+        settingsTab.style.display = 'block';
+        loadSettings();
+    }
+}
+
+// Show the log out button when authentication is enabled
+async function loadAuthStatus() {
+    try {
+        const response = await apiFetch('/auth/status');
+        const status = await response.json();
+        document.getElementById('logout-btn').style.display = status.enabled ? '' : 'none';
+    } catch (error) {
+        console.error('Error loading authentication status:', error);
+    }
+}
+
+document.getElementById('logout-btn').addEventListener('click', async () => {
+    await apiFetch('/auth/logout', { method: 'POST' });
+    window.location.href = '/login.html';
+});
+
+// Yapper settings, as listed by the server
+let settings = [];
+
+async function loadSettings() {
+    try {
+        const response = await apiFetch('/settings');
+        settings = await response.json();
+        renderSettings();
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+// Where a value in use came from, for settings not taken from the settings file
+function settingOverride(setting) {
+    if (setting.source === 'argument') return `Set by ${setting.arg} on the command line`;
+    if (setting.source === 'environment') return `Set by the ${setting.env} environment variable`;
+    return null;
+}
+
+function renderSettings() {
+    const list = document.getElementById('settings-list');
+    list.innerHTML = '';
+
+    settings.forEach(setting => {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+
+        const label = document.createElement('label');
+        label.htmlFor = `setting-${setting.key}`;
+        label.textContent = setting.label;
+
+        const input = document.createElement('input');
+        input.id = `setting-${setting.key}`;
+        input.dataset.key = setting.key;
+        if (setting.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = setting.saved !== null ? setting.saved : setting.default;
+        } else if (setting.type === 'secret') {
+            // Secrets are never shown; typing one replaces the saved value
+            input.type = 'password';
+            input.placeholder = setting.saved !== null ? 'Saved (type to replace)' : 'Not set';
+            input.autocomplete = 'new-password';
+        } else if (setting.type === 'list') {
+            input.type = 'text';
+            input.value = setting.saved !== null ? setting.saved.join(', ') : '';
+            input.placeholder = 'None';
+            input.spellcheck = false;
+        } else {
+            input.type = setting.type === 'port' ? 'number' : 'text';
+            input.value = setting.saved !== null ? setting.saved : '';
+            input.placeholder = setting.default !== null ? String(setting.default) : 'Not set';
+            input.spellcheck = false;
+        }
+        // Arguments and environment variables win over the file, so saving them would have no effect
+        const override = settingOverride(setting);
+        input.disabled = override !== null;
+
+        const description = document.createElement('small');
+        description.textContent = setting.description;
+
+        const status = document.createElement('small');
+        status.className = setting.restartRequired ? 'setting-status pending' : 'setting-status';
+        const inUse = Array.isArray(setting.value) ? setting.value.join(', ') || 'none' : (setting.value ?? 'not set');
+        status.textContent = setting.restartRequired
+            ? `In use: ${inUse} (restart Yapper to apply the saved value)`
+            : `In use: ${inUse}${override ? ` (${override})` : ''}`;
+
+        row.appendChild(label);
+        // An empty secret input keeps the saved value, so removing it takes its own button
+        if (setting.type === 'secret' && setting.saved !== null && override === null) {
+            const field = document.createElement('div');
+            field.className = 'setting-field';
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'btn btn-secondary';
+            clearBtn.textContent = 'Clear';
+            clearBtn.addEventListener('click', () => clearSecretSetting(setting));
+            field.appendChild(input);
+            field.appendChild(clearBtn);
+            row.appendChild(field);
+        } else {
+            row.appendChild(input);
+        }
+        row.appendChild(description);
+        row.appendChild(status);
+        list.appendChild(row);
+    });
+}
+
+// Save changes ({ key: value }, null to go back to the default) and show the result
+async function saveSettings(changes) {
+    const response = await apiFetch('/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    const result = await response.json();
+
+    if (response.ok) {
+        settings = result;
+        renderSettings();
+        updateCommandPreview();
+        loadAuthStatus();
+        const pending = settings.filter(setting => setting.restartRequired).map(setting => setting.label);
+        if (pending.length > 0) {
+            await showAlert('Settings saved', `Restart Yapper to apply: ${pending.join(', ')}`);
+        }
+    } else {
+        await showAlert('Error', result.error);
+    }
+}
+
+// Remove a saved access token or password; without one, logging in that way is turned off
+async function clearSecretSetting(setting) {
+    if (!(await showConfirm('Clear setting', `Remove the saved ${setting.label.toLowerCase()}?`))) {
+        return;
+    }
+    try {
+        await saveSettings({ [setting.key]: null });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        await showAlert('Error', `Error saving settings: ${error.message}`);
+    }
+}
+
+document.getElementById('settings-save-btn').addEventListener('click', async () => {
+    const button = document.getElementById('settings-save-btn');
+    const changes = {};
+    document.querySelectorAll('#settings-list input:not(:disabled)').forEach(input => {
+        const setting = settings.find(s => s.key === input.dataset.key);
+        if (setting.type === 'boolean') {
+            // Keep following the default until it is changed
+            changes[setting.key] = setting.saved === null && input.checked === setting.default ? null : input.checked;
+        } else if (setting.type === 'secret') {
+            if (input.value !== '') changes[setting.key] = input.value;
+        } else if (setting.type === 'list') {
+            changes[setting.key] = input.value.trim() === '' ? null : input.value.split(',').map(entry => entry.trim()).filter(Boolean);
+        } else if (input.value.trim() === '') {
+            changes[setting.key] = null;
+        } else {
+            changes[setting.key] = setting.type === 'port' ? Number(input.value) : input.value.trim();
+        }
+    });
+
+    button.disabled = true;
+    button.innerHTML = '<span class="loading"></span> Saving...';
+    try {
+        await saveSettings(changes);
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        await showAlert('Error', `Error saving settings: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = 'Save Settings';
+    }
+});
+
+// Fill the run selector with persisted runs of the selected instance
+async function loadLogRuns() {
+    try {
+        const response = await apiFetch(`/logs/runs?instance=${encodeURIComponent(currentInstanceName())}`);
+        const runs = await response.json();
+        const selected = logsRunSelect.value;
+
+        logsRunSelect.innerHTML = '<option value="">Live</option>';
+        runs.forEach(run => {
+            const option = document.createElement('option');
+            option.value = run.id;
+            option.textContent = `${new Date(run.startedAt).toLocaleString()} (${formatFileSize(run.size)})${run.active ? ' - current' : ''}`;
+            logsRunSelect.appendChild(option);
+        });
+
+        if (runs.some(run => run.id === selected)) {
+            logsRunSelect.value = selected;
+        }
+    } catch (error) {
+        console.error('Error loading log runs:', error);
+    }
+}
+
+function selectedLogStreams() {
+    return Array.from(document.querySelectorAll('.logs-filter'))
+        .filter(input => input.checked)
+        .map(input => input.value);
+}
+
+// Hide filtered streams in the full log pane
+function applyLogFilters() {
+    document.querySelectorAll('.logs-filter').forEach(input => {
+        logsContainerFull.classList.toggle(`hide-${input.value}`, !input.checked);
+    });
+}
+
+// Run shown in the Server Logs tab: the selected past run, else the instance's current one
+function selectedLogRun() {
+    if (logsRunSelect.value) return logsRunSelect.value;
+    const instance = instances.find(i => i.name === currentInstanceName());
+    return instance ? instance.runId : null;
+}
+
+// Search persisted logs, or go back to the live view when there is nothing to search
+async function searchLogs() {
+    const query = logsSearchInput.value.trim();
+    const run = logsRunSelect.value;
+
+    if (!query && !run) {
+        logsSearchActive = false;
+        logsStatus.textContent = '';
+        renderLogs();
+        return;
+    }
+
+    const params = new URLSearchParams({ stream: selectedLogStreams().join(',') });
+    if (run) {
+        params.set('run', run);
+    } else {
+        params.set('instance', currentInstanceName());
+    }
+    if (query) params.set('q', query);
+    if (query && logsRegexCheckbox.checked) params.set('regex', 'true');
+
+    try {
+        logsSearchBtn.disabled = true;
+        const response = await apiFetch(`/logs?${params}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            await showAlert('Error', result.error);
+            return;
+        }
+
+        logsSearchActive = true;
+        logsContainerFull.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        result.entries.forEach(log => fragment.appendChild(createLogElement(log)));
+        logsContainerFull.appendChild(fragment);
+        logsContainerFull.scrollTop = logsContainerFull.scrollHeight;
+
+        logsStatus.textContent = `${result.entries.length} matching line(s)` +
+            (result.truncated ? ' (showing the most recent)' : '') +
+            (result.incomplete ? ' (older lines were not searched; pick a run to search further back)' : '') +
+            ' - clear the search and select "Live" to follow new output';
+    } catch (error) {
+        console.error('Error searching logs:', error);
+        await showAlert('Error', 'Error searching logs: ' + error.message);
+    } finally {
+        logsSearchBtn.disabled = false;
+    }
+}
+
+logsSearchBtn.addEventListener('click', searchLogs);
+logsSearchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') searchLogs();
+});
+logsRunSelect.addEventListener('change', searchLogs);
+document.querySelectorAll('.logs-filter').forEach(input => {
+    input.addEventListener('change', () => {
+        applyLogFilters();
+        if (logsSearchActive) searchLogs();
+    });
+});
+
+logsDownloadBtn.addEventListener('click', async () => {
+    const run = selectedLogRun();
+    if (!run) {
+        await showAlert('No run selected', 'Start the instance or pick a past run to download its log.');
+        return;
+    }
+    window.location.href = `/logs/runs/${encodeURIComponent(run)}/download`;
+});
+
+// Initialize when dynamic UI is ready
+document.addEventListener('dynamicUIReady', async () => {
+    await checkAvailableModels();
+    loadSavedConfig();
+    updateCommandPreview();
+    connectEvents();
+    loadProfiles();
+    loadBuilds();
+    loadReleases();
+    refreshUpdateStatus();
+    loadSystemInfo();
+    loadAuthStatus();
+    
+    // Set up auto-save
+    configForm.addEventListener('change', saveConfig);
+    configForm.addEventListener('input', saveConfig);
+    configForm.addEventListener('change', updateCommandPreview);
+    configForm.addEventListener('input', updateCommandPreview);
+});
+
+// Supervisor options sent along with a start request
+function getSupervisorOptions() {
+    const options = {
+        autoRestart: document.getElementById('supervisor-auto-restart').checked
+    };
+    const startupTimeout = parseInt(document.getElementById('supervisor-startup-timeout').value, 10);
+    const maxRestarts = parseInt(document.getElementById('supervisor-max-restarts').value, 10);
+    if (startupTimeout > 0) options.startupTimeout = startupTimeout;
+    if (maxRestarts >= 0) options.maxRestarts = maxRestarts;
+    return options;
+}
+
+function setSupervisorOptions(options = {}) {
+    document.getElementById('supervisor-auto-restart').checked = !!options.autoRestart;
+    if (options.startupTimeout !== undefined) {
+        document.getElementById('supervisor-startup-timeout').value = options.startupTimeout;
+    }
+    if (options.maxRestarts !== undefined) {
+        document.getElementById('supervisor-max-restarts').value = options.maxRestarts;
+    }
+}
+
+// Fill the profile picker, keeping the given profile selected
+async function loadProfiles(selected = profileSelect.value) {
+    try {
+        const response = await apiFetch('/profiles');
+        const profiles = await response.json();
+
+        profileSelect.innerHTML = '<option value="">-- No profile --</option>';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.model ? `${profile.name} (${profile.model})` : profile.name;
+            profileSelect.appendChild(option);
+        });
+
+        if (profiles.some(profile => profile.name === selected)) {
+            profileSelect.value = selected;
+        }
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+    }
+}
+
+// Replace the form contents with a saved profile
+profileSelect.addEventListener('change', async () => {
+    const name = profileSelect.value;
+    if (!name) return;
+
+    try {
+        const response = await apiFetch(`/profiles/${encodeURIComponent(name)}`);
+        const profile = await response.json();
+        if (!response.ok) {
+            await showAlert('Error', profile.error);
+            return;
+        }
+
+        populateFormDefaults();
+        document.getElementById('model').value = '';
+        applyConfig(profile.flags);
+        setSupervisorOptions(profile.supervisor);
+        renderBuildOptions(profile.build || '');
+        profileNameInput.value = profile.name;
+        saveConfig();
+        updateCommandPreview();
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        await showAlert('Error', 'Error loading profile: ' + error.message);
+    }
+});
+
+// Save the form as a profile, overwriting it if it already exists
+profileSaveBtn.addEventListener('click', async () => {
+    const name = profileNameInput.value.trim() || profileSelect.value;
+    if (!name) {
+        await showAlert('Profile name required', 'Enter a name to save the current configuration as.');
+        return;
+    }
+
+    const exists = Array.from(profileSelect.options).some(option => option.value === name);
+    if (exists && name !== profileSelect.value &&
+        !(await showConfirm('Overwrite profile', `Profile '${name}' already exists. Overwrite it?`))) {
+        return;
+    }
+
+    const body = { flags: getFormValues(), supervisor: getSupervisorOptions(), build: buildSelect.value || null };
+    try {
+        const response = exists
+            ? await apiFetch(`/profiles/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            })
+            : await apiFetch('/profiles', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, ...body })
+            });
+        const result = await response.json();
+
+        if (response.ok) {
+            await loadProfiles(name);
+            await showAlert('Success', `Profile '${name}' saved`);
+        } else {
+            await showAlert('Error', result.error);
+        }
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        await showAlert('Error', 'Error saving profile: ' + error.message);
+    }
+});
+
+profileDuplicateBtn.addEventListener('click', async () => {
+    const source = profileSelect.value;
+    const name = profileNameInput.value.trim();
+    if (!source || !name || name === source) {
+        await showAlert('Duplicate profile', 'Select a profile and enter a new name for the copy.');
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/profiles/${encodeURIComponent(source)}/duplicate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            await loadProfiles(name);
+        } else {
+            await showAlert('Error', result.error);
+        }
+    } catch (error) {
+        console.error('Error duplicating profile:', error);
+        await showAlert('Error', 'Error duplicating profile: ' + error.message);
+    }
+});
+
+profileDeleteBtn.addEventListener('click', async () => {
+    const name = profileSelect.value;
+    if (!name) {
+        await showAlert('Delete profile', 'Select the profile to delete.');
+        return;
+    }
+    if (!(await showConfirm('Delete profile', `Delete profile '${name}'?`))) {
+        return;
+    }
+
+    try {
+        const response = await apiFetch(`/profiles/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const result = await response.json();
+
+        if (response.ok) {
+            profileNameInput.value = '';
+            await loadProfiles('');
+        } else {
+            await showAlert('Error', result.error);
+        }
+    } catch (error) {
+        console.error('Error deleting profile:', error);
+        await showAlert('Error', 'Error deleting profile: ' + error.message);
+    }
+});
+
+// Name of the instance the control panel is working with
+function currentInstanceName() {
+    return instanceNameInput.value.trim() || 'default';
+}
+
+function instanceUrl(name, action = '') {
+    return `/instances/${encodeURIComponent(name)}${action ? '/' + action : ''}`;
+}
+
+// Start/stop server functions
+startBtn.addEventListener('click', async () => {
+    try {
+        startBtn.disabled = true;
+        startBtn.innerHTML = '<span class="loading"></span> Starting...';
+
+        const config = getFormValues();
+
+        // Starting a config that does not fit in RAM usually fails halfway through loading
+        const estimate = await fetchMemoryEstimate().catch(() => ({}));
+        if (estimate.exceedsFreeMemory) {
+            const proceed = await showConfirm('Low Memory',
+                `Estimated RAM use is ${formatFileSize(Math.round(estimate.total.ram))}, but only ${formatFileSize(estimate.memory.free)} is free. Start anyway?`);
+            if (!proceed) return;
+        }
+
+        const response = await apiFetch(instanceUrl(currentInstanceName(), 'start'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...config, supervisor: getSupervisorOptions(), build: buildSelect.value || undefined })
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            const warnings = result.warnings && result.warnings.length > 0 ? '\n\n' + result.warnings.join('\n') : '';
+            await showAlert('Success', 'Server started successfully!' + warnings);
+            updateStatus();
+        } else {
+            if (result.errors) {
+                showFlagErrors(result.errors);
+            }
+            await showAlert('Error', result.error);
+        }
+    } catch (error) {
+        console.error('Error starting server:', error);
+        await showAlert('Error', 'Error starting server: ' + error.message);
+    } finally {
+        startBtn.disabled = false;
+        startBtn.innerHTML = 'Start Server';
+    }
+});
+
+// Stop an instance by name
+async function stopInstance(name) {
+    const response = await apiFetch(instanceUrl(name, 'stop'), {
+        method: 'POST'
+    });
+
+    const result = await response.json();
+
+    if (response.ok) {
+        await showAlert('Success', result.message);
+        updateStatus();
+    } else {
+        await showAlert('Error', result.error);
+    }
+}
+
+stopBtn.addEventListener('click', async () => {
+     try {
+         stopBtn.disabled = true;
+         stopBtn.innerHTML = '<span class="loading"></span> Stopping...';
+
+         await stopInstance(currentInstanceName());
+     } catch (error) {
+         console.error('Error stopping server:', error);
+         await showAlert('Error', 'Error stopping server: ' + error.message);
+     } finally {
+         stopBtn.disabled = false;
+         stopBtn.innerHTML = 'Stop Server';
+     }
+ });
+
+ openChatBtn.addEventListener('click', () => {
+     const instance = instances.find(i => i.name === currentInstanceName());
+     const target = instance && instance.target;
+     const host = target && target.host ? target.host : (document.getElementById('host').value || '127.0.0.1');
+     const port = target && target.port ? target.port : (document.getElementById('port').value || '8080');
+     const chatUrl = `http://${host}:${port}`;
+     window.open(chatUrl, '_blank');
+ });
+
+ instanceNameInput.addEventListener('change', selectInstance);
+
+// Switch the status display and log panes to the named instance
+function selectInstance() {
+    updateStatus();
+    logsRunSelect.value = '';
+    logsSearchInput.value = '';
+    logsSearchActive = false;
+    logsStatus.textContent = '';
+    renderLogs();
+    updateCommandPreview();
+    if (currentTab === 'logs') loadLogRuns();
+}
+
+// Render one card per known instance
+function renderInstances() {
+    instancesList.innerHTML = '';
+
+    if (instances.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'instances-empty';
+        empty.textContent = 'No instances running';
+        instancesList.appendChild(empty);
+        return;
+    }
+
+    instances.forEach(instance => {
+        const card = document.createElement('div');
+        card.className = 'instance-card';
+        if (instance.name === currentInstanceName()) {
+            card.classList.add('selected');
+        }
+
+        const header = document.createElement('div');
+        header.className = 'instance-card-header';
+        const name = document.createElement('strong');
+        name.textContent = instance.name;
+        const status = document.createElement('span');
+        status.className = `status ${instance.status}`;
+        status.textContent = instance.status;
+        header.appendChild(name);
+        header.appendChild(status);
+        card.appendChild(header);
+
+        const details = document.createElement('div');
+        details.className = 'instance-card-details';
+        const address = instance.target
+            ? (instance.target.socketPath || `${instance.target.host}:${instance.target.port}`)
+            : '-';
+        details.textContent = `Address: ${address} | PID: ${instance.pid || '-'} | Model: ${instance.model || 'preset'}` +
+            (instance.build ? ` | Build: ${instance.build}` : '') +
+            ` | Restarts: ${instance.restarts}` +
+            (instance.lastExitCode !== null ? ` | Last exit code: ${instance.lastExitCode}` : '');
+        card.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'instance-card-actions';
+
+        const selectBtn = document.createElement('button');
+        selectBtn.className = 'btn btn-secondary';
+        selectBtn.textContent = 'Select';
+        selectBtn.addEventListener('click', () => {
+            instanceNameInput.value = instance.name;
+            selectInstance();
+        });
+        actions.appendChild(selectBtn);
+
+        const stopInstanceBtn = document.createElement('button');
+        stopInstanceBtn.className = 'btn btn-danger';
+        stopInstanceBtn.textContent = 'Stop';
+        stopInstanceBtn.disabled = instance.status === 'stopped';
+        stopInstanceBtn.addEventListener('click', async () => {
+            stopInstanceBtn.disabled = true;
+            try {
+                await stopInstance(instance.name);
+            } catch (error) {
+                await showAlert('Error', 'Error stopping server: ' + error.message);
+            }
+        });
+        actions.appendChild(stopInstanceBtn);
+
+        card.appendChild(actions);
+        instancesList.appendChild(card);
+    });
+}
+
+// Update server status display from the latest instance state
+function updateStatus() {
+    renderInstances();
+
+    const selected = instances.find(i => i.name === currentInstanceName());
+    serverStatus = selected ? selected.status : 'stopped';
+
+    // Update status display
+    statusDisplay.textContent = serverStatus.toUpperCase();
+    statusDisplay.className = `status ${serverStatus}`;
+
+    // Update button states
+    startBtn.disabled = serverStatus !== 'stopped';
+    stopBtn.disabled = serverStatus === 'stopped';
+    openChatBtn.disabled = serverStatus !== 'running';
+}
+
+function createLogElement(log) {
+    const logEntry = document.createElement('div');
+    logEntry.className = `log-entry ${log.type}`;
+    logEntry.textContent = `[${new Date(log.timestamp).toLocaleTimeString()}] ${log.message.trim()}`;
+    return logEntry;
+}
+
+// Append one log line, keeping the pane pinned to the bottom unless the user scrolled up
+function appendLogEntry(container, log) {
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 30;
+
+    container.appendChild(createLogElement(log));
+    while (container.childElementCount > MAX_LOG_ENTRIES) {
+        container.removeChild(container.firstChild);
+    }
+
+    if (atBottom) {
+        container.scrollTop = container.scrollHeight;
+    }
+}
+
+// Rebuild the live log panes for the selected instance
+function renderLogs() {
+    const logs = logsByInstance[currentInstanceName()] || [];
+    const containers = logsSearchActive ? [logsContainer] : [logsContainer, logsContainerFull];
+
+    containers.forEach(container => {
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        logs.forEach(log => fragment.appendChild(createLogElement(log)));
+        container.appendChild(fragment);
+        container.scrollTop = container.scrollHeight;
+    });
+}
+
+function upsertInstance(instance) {
+    const index = instances.findIndex(i => i.name === instance.name);
+    if (index >= 0) {
+        instances[index] = instance;
+    } else {
+        instances.push(instance);
+    }
+}
+
+// Subscribe to pushed status changes and log lines
+function connectEvents() {
+    eventSource = new EventSource('/events');
+
+    eventSource.addEventListener('snapshot', (event) => {
+        const data = JSON.parse(event.data);
+
+        // Yapper restarted and its log ids started over: the server replays the new tail after this snapshot
+        if (data.bootId !== logBootId) {
+            logBootId = data.bootId;
+            logsByInstance = {};
+            lastLogId = 0;
+            renderLogs();
+        }
+
+        instances = data.instances;
+        updateStatus();
+        downloads = data.downloads;
+        renderDownloads();
+        installJob = data.install;
+        renderInstallJob();
+        if (installJob && installJob.source) {
+            loadInstallOutput();
+        }
+    });
+
+    eventSource.addEventListener('install-output', (event) => {
+        const { id, line } = JSON.parse(event.data);
+        if (installJob && installJob.id === id) {
+            appendInstallOutput(line);
+        }
+    });
+
+    eventSource.addEventListener('install', async (event) => {
+        const job = JSON.parse(event.data);
+        const finished = installJob && installJob.id === job.id && installJob.status === 'running' && job.status !== 'running';
+        installJob = job;
+        renderInstallJob();
+
+        if (finished) {
+            await loadBuilds();
+            refreshUpdateStatus();
+            updateCommandPreview();
+            loadSystemInfo();
+            if (job.status === 'failed') {
+                await showAlert('Install failed', job.error);
+            }
+        }
+    });
+
+    eventSource.addEventListener('models', () => {
+        // Copying a folder of models sends a burst of events; refresh once
+        clearTimeout(modelsRefreshTimer);
+        modelsRefreshTimer = setTimeout(async () => {
+            await checkAvailableModels();
+            showModelInfo();
+        }, 300);
+    });
+
+    eventSource.addEventListener('download', (event) => {
+        const download = JSON.parse(event.data);
+        const previous = downloads.find(d => d.id === download.id);
+        downloads = previous ? downloads.map(d => (d.id === download.id ? download : d)) : [...downloads, download];
+        renderDownloads();
+        if (download.status === 'completed' && (!previous || previous.status !== 'completed')) {
+            checkAvailableModels();
+        }
+    });
+
+    eventSource.addEventListener('download-removed', (event) => {
+        const { id } = JSON.parse(event.data);
+        downloads = downloads.filter(d => d.id !== id);
+        renderDownloads();
+    });
+
+    eventSource.addEventListener('status', (event) => {
+        upsertInstance(JSON.parse(event.data));
+        updateStatus();
+    });
+
+    eventSource.addEventListener('removed', (event) => {
+        const { instance } = JSON.parse(event.data);
+        instances = instances.filter(i => i.name !== instance);
+        delete logsByInstance[instance];
+        updateStatus();
+    });
+
+    eventSource.addEventListener('clear', (event) => {
+        const { instance } = JSON.parse(event.data);
+        delete logsByInstance[instance];
+        if (instance === currentInstanceName()) {
+            renderLogs();
+        }
+    });
+
+    eventSource.addEventListener('log', (event) => {
+        const log = JSON.parse(event.data);
+        if (log.id <= lastLogId) return;
+        lastLogId = log.id;
+
+        const logs = logsByInstance[log.instance] || (logsByInstance[log.instance] = []);
+        logs.push(log);
+        if (logs.length > MAX_LOG_ENTRIES) {
+            logs.splice(0, logs.length - MAX_LOG_ENTRIES);
+        }
+
+        if (log.instance === currentInstanceName()) {
+            appendLogEntry(logsContainer, log);
+            if (!logsSearchActive) {
+                appendLogEntry(logsContainerFull, log);
+            }
+        }
+    });
+}
+
+// API testing
+testApiBtn.addEventListener('click', async () => {
+    const endpoint = apiEndpoint.value;
+    const requestBody = apiRequest.value;
+
+    try {
+        testApiBtn.disabled = true;
+        testApiBtn.innerHTML = '<span class="loading"></span> Testing...';
+
+        let body;
+        try {
+            body = JSON.parse(requestBody);
+        } catch (e) {
+            await showAlert('Invalid JSON', 'Invalid JSON in request body');
+            return;
+        }
+
+        // Call llama-server through the Yapper proxy
+        const isGet = endpoint === '/v1/models' || endpoint === '/health';
+        const response = await apiFetch(endpoint, isGet ? {
+            method: 'GET',
+            headers: { 'X-Yapper-Instance': currentInstanceName() }
+        } : {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Yapper-Instance': currentInstanceName()
+            },
+            body: JSON.stringify(body)
+        });
+
+        let result;
+        const contentType = response.headers.get('content-type');
+
+        if (contentType && contentType.includes('application/json')) {
+            result = await response.json();
+        } else {
+            result = await response.text();
+        }
+
+        apiResponse.textContent = `Status: ${response.status} ${response.statusText}\n\n${JSON.stringify(result, null, 2)}`;
+
+    } catch (error) {
+        console.error('API test error:', error);
+        apiResponse.textContent = `Error: ${error.message}`;
+    } finally {
+        testApiBtn.disabled = false;
+        testApiBtn.innerHTML = 'Test API';
+    }
+});
+
+// Handle page unload
+window.addEventListener('beforeunload', () => {
+    if (eventSource) {
+        eventSource.close();
+    }
+});
+
+// Load saved configuration
+function loadSavedConfig() {
+    const saved = localStorage.getItem('llama-config');
+    if (saved) {
+        applyConfig(JSON.parse(saved));
+    }
+}
+
+// Set form fields from a flag/value map
+function applyConfig(config) {
+    Object.keys(config).forEach(key => {
+        if (allFlags[key] && allFlags[key].repeatable) {
+            setRepeatableValues(key, config[key]);
+            return;
+        }
+
+        const element = document.querySelector(`[name="${key}"]`);
+        if (element) {
+            if (element.type === 'checkbox') {
+                element.checked = config[key];
+            } else {
+                element.value = config[key];
+            }
+        }
+    });
+    showModelInfo();
+}
+
+// Save configuration
+function saveConfig() {
+    const config = getFormValues();
+    localStorage.setItem('llama-config', JSON.stringify(config));
+}
+
+document.getElementById('preview-short-flags').addEventListener('change', updateCommandPreview);
+
+// Refresh the command preview (and inline flag errors) from the server's dry run, debounced while typing
+let previewTimer = null;
+
+function updateCommandPreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+        refreshCommandPreview();
+        refreshMemoryEstimate();
+    }, 300);
+}
+
+async function refreshCommandPreview() {
+    const display = document.getElementById('command-display');
+    const shortForms = document.getElementById('preview-short-flags').checked;
+
+    try {
+        const query = new URLSearchParams({ instance: currentInstanceName(), short: shortForms });
+        const response = await apiFetch(`/dry-run?${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...getFormValues(), build: buildSelect.value || undefined })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            display.textContent = result.error;
+            return;
+        }
+
+        display.textContent = result.command;
+        showFlagErrors(result.errors);
+    } catch (error) {
+        console.error('Error updating command preview:', error);
+    }
+}
+
+// Fetch the memory estimate for the current form
+async function fetchMemoryEstimate() {
+    const response = await apiFetch('/estimate-memory', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getFormValues())
+    });
+    const result = await response.json();
+    return response.ok ? result : { error: result.error };
+}
+
+// Render the memory estimate panel
+async function refreshMemoryEstimate() {
+    const panel = document.getElementById('memory-estimate');
+
+    try {
+        const estimate = await fetchMemoryEstimate();
+        if (estimate.error) {
+            panel.textContent = estimate.error;
+            return;
+        }
+
+        const rows = [
+            ['Weights', estimate.weights],
+            ['KV cache', estimate.kvCache],
+            ['Compute', estimate.compute],
+            ['Total', estimate.total]
+        ];
+        const table = document.createElement('table');
+        table.innerHTML = '<tr><th></th><th>RAM</th><th>GPU</th></tr>';
+        for (const [label, { ram, gpu }] of rows) {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = formatFileSize(Math.round(ram));
+            row.insertCell().textContent = formatFileSize(Math.round(gpu));
+        }
+        if (estimate.exceedsFreeMemory) {
+            table.rows[table.rows.length - 1].classList.add('memory-over');
+        }
+
+        const summary = document.createElement('small');
+        summary.textContent = `${estimate.context} tokens of context, ${estimate.offloadedLayers} layer(s) offloaded. ` +
+            `Free RAM: ${formatFileSize(estimate.memory.free)} of ${formatFileSize(estimate.memory.total)}`;
+
+        panel.innerHTML = '';
+        panel.appendChild(table);
+        panel.appendChild(summary);
+    } catch (error) {
+        console.error('Error estimating memory:', error);
+    }
+}
+
+function showFlagErrors(errors) {
+    configForm.querySelectorAll('.form-group.invalid').forEach(group => group.classList.remove('invalid'));
+    configForm.querySelectorAll('.flag-error').forEach(el => el.remove());
+
+    for (const [flag, message] of Object.entries(errors)) {
+        const input = configForm.elements[flag] || document.getElementById(flag);
+        const group = input && input.closest('.form-group');
+        if (!group) continue;
+
+        group.classList.add('invalid');
+        const errorEl = document.createElement('small');
+        errorEl.className = 'flag-error';
+        errorEl.textContent = message;
+        group.appendChild(errorEl);
+    }
+}
+
+// Import a pasted llama-server command line into the form
+document.getElementById('import-btn').addEventListener('click', async () => {
+    const command = document.getElementById('import-command').value;
+    if (!command.trim()) {
+        await showAlert('Import', 'Paste a llama-server command line first.');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/import-command', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ command })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            await showAlert('Error', result.error);
+            return;
+        }
+
+        // Keep model paths that are not in the models/ list selectable
+        const modelSelect = document.getElementById('model');
+        if (result.flags.model && !Array.from(modelSelect.options).some(o => o.value === result.flags.model)) {
+            const option = document.createElement('option');
+            option.value = result.flags.model;
+            option.textContent = result.flags.model;
+            modelSelect.appendChild(option);
+        }
+
+        populateFormDefaults();
+        modelSelect.value = '';
+        applyConfig(result.flags);
+        saveConfig();
+        updateCommandPreview();
+
+        const notes = [`Imported ${Object.keys(result.flags).length} flag(s).`];
+        if (result.unknown.length > 0) {
+            notes.push(`Unknown flags (not imported): ${result.unknown.map(u => u.flag).join(', ')}`);
+        }
+        notes.push(...result.warnings);
+        await showAlert('Import', notes.join('\n'));
+    } catch (error) {
+        console.error('Error importing command:', error);
+        await showAlert('Error', 'Error importing command: ' + error.message);
+    }
+});
+
+// Export the current configuration as a launch script download
+document.getElementById('export-btn').addEventListener('click', async () => {
+    try {
+        const response = await apiFetch('/export-config', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                format: document.getElementById('export-format').value,
+                flags: getFormValues(),
+                name: profileSelect.value || currentInstanceName()
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            await showAlert('Error', result.error);
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([result.content], { type: 'text/plain' }));
+        link.download = result.filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error exporting config:', error);
+        await showAlert('Error', 'Error exporting config: ' + error.message);
+    }
+});
+
 // Pre-populate API test examples
 apiEndpoint.addEventListener('change', () => {
     const endpoint = apiEndpoint.value;
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const net = require('net');
+const { getSetting } = require('./settings');
+
+// Protecting the web UI and API. Authentication is optional: it is on once an access token or a
+// username and password are configured. Browsers log in for a session cookie; API clients send the
+// token as "Authorization: Bearer <token>" or "X-Yapper-Token: <token>". Independently of that,
+// browsers may only make state-changing requests from the web UI itself or an allowed origin.
+
+const SESSION_COOKIE = 'yapper_session';
+// Readable by the web UI, which sends it back as the X-CSRF-Token header
+const CSRF_COOKIE = 'yapper_csrf';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Failed logins per client address are limited to this many per window
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Reachable without logging in: the login page and what it needs
+const PUBLIC_PATHS = ['/login.html', '/login.js', '/styles.css', '/auth/status', '/auth/login'];
+
+const STATE_CHANGING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Session id -> { csrfToken, expiresAt }
+const sessions = new Map();
+// Client address -> { count, since }
+const loginFailures = new Map();
+
+// Ways to log in that are configured: 'token' and/or 'password'
+function authMethods() {
+  const methods = [];
+  if (getSetting('authToken')) methods.push('token');
+  if (getSetting('authUser') && getSetting('authPassword')) methods.push('password');
+  return methods;
+}
+
+function isAuthEnabled() {
+  return authMethods().length > 0;
+}
+
+// Compare two strings without leaking where they differ through timing
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Passwords saved from the Settings tab are stored as "scrypt:<salt>:<hash>"; ones given in the
+// environment or on the command line are compared as they are
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(stored, password) {
+  const hashed = /^scrypt:([0-9a-f]+):([0-9a-f]+)$/.exec(stored);
+  if (!hashed) {
+    return safeEqual(stored, password);
+  }
+  const expected = Buffer.from(hashed[2], 'hex');
+  const actual = crypto.scryptSync(password, hashed[1], expected.length || 64);
+  return expected.length > 0 && crypto.timingSafeEqual(actual, expected);
+}
+
+// Check login credentials: { token } or { username, password }
+function verifyCredentials({ token, username, password } = {}) {
+  const methods = authMethods();
+  if (typeof token === 'string' && methods.includes('token')) {
+    return safeEqual(token, getSetting('authToken'));
+  }
+  if (typeof username === 'string' && typeof password === 'string' && methods.includes('password')) {
+    // Check both, so a wrong username takes as long as a wrong password
+    const userMatches = safeEqual(username, getSetting('authUser'));
+    return verifyPassword(getSetting('authPassword'), password) && userMatches;
+  }
+  return false;
+}
+
+function isLoginBlocked(address) {
+  const failures = loginFailures.get(address);
+  if (failures && Date.now() - failures.since > LOGIN_FAILURE_WINDOW_MS) {
+    loginFailures.delete(address);
+    return false;
+  }
+  return Boolean(failures) && failures.count >= MAX_LOGIN_FAILURES;
+}
+
+function recordLoginFailure(address) {
+  const failures = loginFailures.get(address) || { count: 0, since: Date.now() };
+  failures.count++;
+  loginFailures.set(address, failures);
+}
+
+function clearLoginFailures(address) {
+  loginFailures.delete(address);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (e) {
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+function getSession(req) {
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = id ? sessions.get(id) : null;
+  if (session && session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return session || null;
+}
+
+// Log the client in: a new session with its CSRF token, both sent as cookies
+function startSession(req, res) {
+  const id = crypto.randomBytes(32).toString('hex');
+  const session = { csrfToken: crypto.randomBytes(32).toString('hex'), expiresAt: Date.now() + SESSION_TTL_MS };
+  sessions.set(id, session);
+
+  const options = { sameSite: 'strict', secure: req.secure, maxAge: SESSION_TTL_MS, path: '/' };
+  res.cookie(SESSION_COOKIE, id, { ...options, httpOnly: true });
+  res.cookie(CSRF_COOKIE, session.csrfToken, options);
+  return session;
+}
+
+function endSession(req, res) {
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (id) sessions.delete(id);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.clearCookie(CSRF_COOKIE, { path: '/' });
+}
+
+// Log everyone out, e.g. after the credentials changed
+function endAllSessions() {
+  sessions.clear();
+}
+
+// How a request is authenticated: 'token', 'session' or null
+function authenticate(req) {
+  const token = getSetting('authToken');
+  if (token) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const given = req.get('x-yapper-token') || (bearer ? bearer[1] : null);
+    if (given && safeEqual(given, token)) {
+      return 'token';
+    }
+  }
+  return getSession(req) ? 'session' : null;
+}
+
+// Whether the Authorization header carries Yapper's own token (rather than, say, a llama-server API key)
+function hasBearerToken(req) {
+  const token = getSetting('authToken');
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return Boolean(token && bearer && safeEqual(bearer[1], token));
+}
+
+// Origin a browser request comes from, from its Origin or Referer header; null for other clients
+function requestOrigin(req) {
+  const origin = req.get('origin');
+  if (origin) {
+    return origin;
+  }
+  try {
+    return req.get('referer') ? new URL(req.get('referer')).origin : null;
+  } catch (e) {
+    return 'null';
+  }
+}
+
+// The web UI itself, or an origin in the allowedOrigins setting
+function isAllowedOrigin(origin, req) {
+  return origin === `${req.protocol}://${req.get('host')}` || getSetting('allowedOrigins').includes(origin);
+}
+
+// Host names compare without IPv6 brackets ("[::1]") and case
+function normalizeHost(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// Without authentication, Yapper only answers requests addressed to localhost, an IP address or the
+// host of an allowed origin, so a website cannot reach it through a DNS name it controls (DNS rebinding)
+function isTrustedHost(hostname) {
+  const host = normalizeHost(hostname);
+  if (host === 'localhost' || net.isIP(host)) {
+    return true;
+  }
+  return getSetting('allowedOrigins').some((origin) => {
+    try {
+      return normalizeHost(new URL(origin).hostname) === host;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Options for the cors middleware: only allowed origins get CORS headers
+const corsOptions = {
+  origin: (origin, callback) => callback(null, Boolean(origin) && getSetting('allowedOrigins').includes(origin)),
+  credentials: true
+};
+
+// Middleware in front of every route: host and origin checks, then authentication and, for
+// requests made with a session cookie, the CSRF token
+function protectRequests(req, res, next) {
+  const enabled = isAuthEnabled();
+  if (!enabled && !isTrustedHost(req.hostname || '')) {
+    return res.status(403).json({ error: `Host '${req.hostname}' is not allowed; add its origin to the allowed origins setting` });
+  }
+
+  const stateChanging = STATE_CHANGING_METHODS.includes(req.method);
+  if (stateChanging) {
+    const origin = requestOrigin(req);
+    if (origin && !isAllowedOrigin(origin, req)) {
+      return res.status(403).json({ error: `Requests from ${origin} are not allowed` });
+    }
+  }
+
+  if (!enabled || req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const via = authenticate(req);
+  if (!via) {
+    // Send people opening the web UI to the login page; API clients get a plain 401
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect('/login.html');
+    }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (via === 'session' && stateChanging && !safeEqual(req.get('x-csrf-token') || '', getSession(req).csrfToken)) {
+    return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+  }
+  next();
+}
+
+module.exports = {
+  authMethods,
+  isAuthEnabled,
+  hashPassword,
+  verifyCredentials,
+  isLoginBlocked,
+  recordLoginFailure,
+  clearLoginFailures,
+  authenticate,
+  hasBearerToken,
+  startSession,
+  endSession,
+  endAllSessions,
+  corsOptions,
+  protectRequests
+};
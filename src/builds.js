@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { settingPath } = require('./settings');
+
+// Installed llama.cpp releases live side by side in llama.cpp/builds/<id>, where the id is <tag>-<variant>
+// (e.g. b6000-ubuntu-vulkan-x64). The manifest records each build and which one is active.
+const LLAMA_CPP_DIR = settingPath('llamaCppDir');
+const BUILDS_DIR = path.join(LLAMA_CPP_DIR, 'builds');
+const MANIFEST_PATH = path.join(LLAMA_CPP_DIR, 'manifest.json');
+
+const SERVER_BINARY = 'llama-server' + (os.platform() === 'win32' ? '.exe' : '');
+
+// Release archives put the binaries at the top level or a few folders down (build/bin)
+const MAX_SEARCH_DEPTH = 3;
+
+function isValidBuildId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_.-]{1,128}$/.test(id) && !id.startsWith('.');
+}
+
+function buildId(tag, variant) {
+  return `${tag}-${variant}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+}
+
+function buildDir(id) {
+  return path.join(BUILDS_DIR, id);
+}
+
+// { active, installs: [{ id, tag, asset, variant, platform, installedAt }] }
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return { active: null, installs: [] };
+  }
+  return { active: null, installs: [], ...JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8')) };
+}
+
+// Write via a temp file so a crash never leaves a half-written manifest
+function writeManifest(manifest) {
+  fs.mkdirSync(LLAMA_CPP_DIR, { recursive: true });
+  const tempPath = `${MANIFEST_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempPath, MANIFEST_PATH);
+}
+
+// Path of the llama-server binary under dir, or null
+function findServerBinary(dir, depth = 0) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  if (entries.some(entry => entry.isFile() && entry.name === SERVER_BINARY)) {
+    return path.join(dir, SERVER_BINARY);
+  }
+  if (depth >= MAX_SEARCH_DEPTH) {
+    return null;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const found = findServerBinary(path.join(dir, entry.name), depth + 1);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Installed builds, newest first. Entries whose folder is gone (or that predate versioned
+// installs) are left out.
+function listBuilds() {
+  const manifest = readManifest();
+  return manifest.installs
+    .filter(entry => entry.id && fs.existsSync(buildDir(entry.id)))
+    .map(entry => ({
+      ...entry,
+      active: entry.id === manifest.active,
+      serverPath: findServerBinary(buildDir(entry.id))
+    }))
+    .sort((a, b) => b.installedAt.localeCompare(a.installedAt));
+}
+
+// Throw when a build about to be replaced is in use; inUse(id) names the instance running it, or returns null
+function checkBuildReplaceable(id, inUse) {
+  const user = inUse ? inUse(id) : null;
+  if (user) {
+    throw new Error(`Build ${id} is used by instance '${user}'; stop it before reinstalling`);
+  }
+}
+
+function getBuild(id) {
+  return listBuilds().find(build => build.id === id) || null;
+}
+
+function getActiveBuild() {
+  return listBuilds().find(build => build.active) || null;
+}
+
+// Record a build extracted into buildDir(entry.id) and make it the active one
+function addBuild(entry) {
+  const manifest = readManifest();
+  manifest.installs = manifest.installs.filter(install => install.id !== entry.id);
+  manifest.installs.push(entry);
+  manifest.active = entry.id;
+  writeManifest(manifest);
+}
+
+function activateBuild(id) {
+  const manifest = readManifest();
+  manifest.active = id;
+  writeManifest(manifest);
+}
+
+// Delete a build. Removing the active build activates the newest one left, if any.
+function removeBuild(id) {
+  fs.rmSync(buildDir(id), { recursive: true, force: true });
+
+  const manifest = readManifest();
+  manifest.installs = manifest.installs.filter(install => install.id !== id);
+  if (manifest.active === id) {
+    const [newest] = manifest.installs
+      .filter(install => install.id && fs.existsSync(buildDir(install.id)))
+      .sort((a, b) => b.installedAt.localeCompare(a.installedAt));
+    manifest.active = newest ? newest.id : null;
+  }
+  writeManifest(manifest);
+}
+
+module.exports = {
+  BUILDS_DIR,
+  isValidBuildId,
+  buildId,
+  buildDir,
+  readManifest,
+  findServerBinary,
+  listBuilds,
+  getBuild,
+  getActiveBuild,
+  checkBuildReplaceable,
+  addBuild,
+  activateBuild,
+  removeBuild
+};
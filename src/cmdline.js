@@ -0,0 +1,345 @@
+// Split a pasted command line into arguments the way a shell would:
+// single/double quotes, backslash escapes and line continuations (\ or ^ at end of line)
+function tokenizeCommandLine(command) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let quote = null;
+
+  const text = command.replace(/[\\^]\r?\n/g, ' ');
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote === "'") {
+      if (ch === "'") {
+        quote = null;
+      } else {
+        current += ch;
+      }
+    } else if (quote === '"') {
+      if (ch === '"') {
+        quote = null;
+      } else if (ch === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\' || text[i + 1] === '$')) {
+        current += text[++i];
+      } else {
+        current += ch;
+      }
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      inToken = true;
+    } else if (ch === '\\' && /[\s'"\\$]/.test(text[i + 1] || '')) {
+      // Escaped space, quote or backslash; other backslashes stay literal so Windows paths survive
+      current += text[++i];
+      inToken = true;
+    } else if (/\s/.test(ch)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+    } else {
+      current += ch;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command line`);
+  }
+  if (inToken) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+// Map "--name" and short forms such as "-m" to flag names
+function buildFlagLookup(flagDefinitions) {
+  const lookup = new Map();
+  for (const [name, def] of Object.entries(flagDefinitions)) {
+    lookup.set(`--${name}`, name);
+    if (def.short) {
+      lookup.set(def.short, name);
+    }
+  }
+  return lookup;
+}
+
+// Parse a llama-server command line into form values.
+// Returns { flags, unknown, warnings }; unknown lists flags the schema does not describe.
+function parseCommandLine(command, flagDefinitions) {
+  const tokens = tokenizeCommandLine(command);
+  const lookup = buildFlagLookup(flagDefinitions);
+  const flags = {};
+  const unknown = [];
+  const warnings = [];
+
+  // Skip the executable (and anything before the first flag, e.g. env assignments or "exec")
+  let i = 0;
+  while (i < tokens.length && !tokens[i].startsWith('-')) {
+    i++;
+  }
+
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (!token.startsWith('-')) {
+      warnings.push(`Ignored stray argument '${token}'`);
+      continue;
+    }
+
+    // --flag=value
+    let key = token;
+    let inlineValue;
+    const equals = token.indexOf('=');
+    if (token.startsWith('--') && equals > 0) {
+      key = token.slice(0, equals);
+      inlineValue = token.slice(equals + 1);
+    }
+
+    const name = lookup.get(key);
+    if (!name) {
+      const next = tokens[i + 1];
+      const value = inlineValue !== undefined
+        ? inlineValue
+        : (next !== undefined && !next.startsWith('-') ? tokens[++i] : undefined);
+      unknown.push(value !== undefined ? { flag: key, value } : { flag: key });
+      continue;
+    }
+
+    const def = flagDefinitions[name];
+    if (name in flags && !def.repeatable) {
+      warnings.push(`--${name} is given more than once; using the last value`);
+    }
+
+    if (def.type === 'boolean') {
+      flags[name] = inlineValue === undefined ? true : !/^(0|false|off|no)$/i.test(inlineValue);
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      if (i + 1 >= tokens.length) {
+        warnings.push(`--${name} is missing its value`);
+        continue;
+      }
+      value = tokens[++i];
+    }
+
+    if (def.scaled) {
+      // --lora-scaled FNAME SCALE
+      if (i + 1 >= tokens.length) {
+        warnings.push(`--${name} ${value} is missing its scale`);
+        continue;
+      }
+      const scale = tokens[++i];
+      if (scale.trim() === '' || Number.isNaN(Number(scale))) {
+        warnings.push(`--${name} expects a numeric scale, got '${scale}'`);
+      }
+      flags[name] = (flags[name] || []).concat({ path: value, scale: Number(scale) });
+    } else if (def.repeatable) {
+      flags[name] = (flags[name] || []).concat(value);
+    } else if (def.type === 'number') {
+      const num = Number(value);
+      if (value.trim() === '' || Number.isNaN(num)) {
+        warnings.push(`--${name} expects a number, got '${value}'`);
+        flags[name] = value;
+      } else {
+        flags[name] = num;
+      }
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { flags, unknown, warnings };
+}
+
+// Quote an argument for bash
+function quotePosix(arg) {
+  if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(arg)) {
+    return arg;
+  }
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+// Quote an argument for cmd.exe
+function quoteWindows(arg) {
+  if (/^[A-Za-z0-9_@+=:,./\\-]+$/.test(arg)) {
+    return arg;
+  }
+  return `"${arg.replace(/"/g, '""').replace(/%/g, '%%')}"`;
+}
+
+// Quote an argument for a systemd ExecStart= line
+function quoteSystemd(arg) {
+  const escaped = arg.replace(/%/g, '%%').replace(/\$/g, '$$$$');
+  if (/^[A-Za-z0-9_@+=:,./-]+$/.test(escaped)) {
+    return escaped;
+  }
+  return `"${escaped.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Build llama-server arguments from flag values, in definition order.
+// Values equal to their default are left out; a boolean that defaults to true is
+// turned off through its negated flag (jinja: false -> --no-jinja).
+// List values (repeatable flags) give one flag per entry; { path, scale } entries give --flag path scale.
+// With shortForms, flags that have a short form (-c, -ngl, ...) use it.
+function buildArgv(flags, flagDefinitions, { shortForms = false } = {}) {
+  const names = Object.keys(flagDefinitions).filter(name => name in flags)
+    .concat(Object.keys(flags).filter(name => !(name in flagDefinitions)));
+
+  const flagName = (name) => {
+    const def = flagDefinitions[name];
+    return shortForms && def && def.short ? def.short : `--${name}`;
+  };
+
+  const args = [];
+  for (const name of names) {
+    const value = flags[name];
+    const def = flagDefinitions[name];
+    if (value === '' || value === null || value === undefined || (def && value === def.default)) {
+      continue;
+    }
+
+    if (Array.isArray(value)) {
+      for (const entry of value) {
+        if (typeof entry === 'object' && entry !== null) {
+          args.push(flagName(name), String(entry.path), String(entry.scale));
+        } else {
+          args.push(flagName(name), String(entry));
+        }
+      }
+    } else if (typeof value === 'boolean') {
+      if (value) {
+        args.push(flagName(name));
+      } else if (flagDefinitions[`no-${name}`]) {
+        args.push(flagName(`no-${name}`));
+      }
+    } else {
+      args.push(flagName(name), String(value));
+    }
+  }
+  return args;
+}
+
+// Join an argv into a string that can be pasted into a shell ('posix' or 'windows')
+function formatCommandLine(argv, shell = 'posix') {
+  const quote = shell === 'windows' ? quoteWindows : quotePosix;
+  return argv.map(quote).join(' ');
+}
+
+// Put each flag and its values on one continuation line
+function groupArgs(args) {
+  const lines = [];
+  for (const arg of args) {
+    if (lines.length === 0 || (arg.startsWith('-') && !/^-\d/.test(arg))) {
+      lines.push([arg]);
+    } else {
+      lines[lines.length - 1].push(arg);
+    }
+  }
+  return lines;
+}
+
+function exportBash(args, { serverPath, workingDir }) {
+  const lines = groupArgs(args).map(group => `  ${group.map(quotePosix).join(' ')}`);
+  return [
+    '#!/usr/bin/env bash',
+    'set -euo pipefail',
+    '',
+    `cd ${quotePosix(workingDir)}`,
+    '',
+    [`exec ${quotePosix(serverPath)}`, ...lines].join(' \\\n'),
+    ''
+  ].join('\n');
+}
+
+function exportBat(args, { serverPath, workingDir }) {
+  const lines = groupArgs(args).map(group => `  ${group.map(quoteWindows).join(' ')}`);
+  return [
+    '@echo off',
+    `cd /d "${workingDir}"`,
+    '',
+    [`"${serverPath}"`, ...lines].join(' ^\r\n'),
+    ''
+  ].join('\r\n');
+}
+
+function exportSystemd(args, { serverPath, workingDir, name }) {
+  const lines = groupArgs(args).map(group => `  ${group.map(quoteSystemd).join(' ')}`);
+  return [
+    '[Unit]',
+    `Description=llama-server (${name})`,
+    'After=network-online.target',
+    'Wants=network-online.target',
+    '',
+    '[Service]',
+    'Type=simple',
+    `WorkingDirectory=${workingDir}`,
+    [`ExecStart=${quoteSystemd(serverPath)}`, ...lines].join(' \\\n'),
+    'Restart=on-failure',
+    'RestartSec=5',
+    'KillSignal=SIGTERM',
+    'TimeoutStopSec=30',
+    '',
+    '[Install]',
+    'WantedBy=multi-user.target',
+    ''
+  ].join('\n');
+}
+
+// Docker: model paths live under the mounted /models, and the server must listen on all interfaces
+function exportDockerCompose(args, { name, port, modelsDir }) {
+  const containerArgs = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--host') {
+      i++;
+      continue;
+    }
+    containerArgs.push(args[i].replace(/^models[\\/]/, '/models/'));
+  }
+  containerArgs.push('--host', '0.0.0.0');
+  if (!args.includes('--port')) {
+    containerArgs.push('--port', String(port));
+  }
+
+  const serviceName = name.replace(/[^A-Za-z0-9_-]/g, '-').toLowerCase() || 'llama-server';
+  return [
+    'services:',
+    `  ${serviceName}:`,
+    '    image: ghcr.io/ggml-org/llama.cpp:server',
+    '    restart: unless-stopped',
+    '    ports:',
+    `      - "${port}:${port}"`,
+    '    volumes:',
+    `      - ${JSON.stringify(`${modelsDir}:/models:ro`)}`,
+    '    command:',
+    ...containerArgs.map(arg => `      - ${JSON.stringify(arg)}`),
+    ''
+  ].join('\n');
+}
+
+const EXPORT_FORMATS = {
+  bash: { filename: 'llama-server.sh', render: exportBash },
+  bat: { filename: 'llama-server.bat', render: exportBat },
+  systemd: { filename: 'llama-server.service', render: exportSystemd },
+  'docker-compose': { filename: 'docker-compose.yml', render: exportDockerCompose }
+};
+
+// Render an argv as a launch script; returns { filename, content }
+function exportLaunchScript(format, args, options) {
+  const exporter = EXPORT_FORMATS[format];
+  return { filename: exporter.filename, content: exporter.render(args, options) };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  tokenizeCommandLine,
+  parseCommandLine,
+  buildArgv,
+  quotePosix,
+  quoteWindows,
+  formatCommandLine,
+  exportLaunchScript
+};
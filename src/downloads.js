@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { pipeline } = require('stream');
+const { resolveModelName } = require('./models');
+
+// Hugging Face-style hub that repo/file downloads resolve against; point it at a mirror or a local server with HF_ENDPOINT
+const HUB_ENDPOINT = (process.env.HF_ENDPOINT || 'https://huggingface.co').replace(/\/+$/, '');
+
+// Downloads run one at a time; the rest wait in the queue
+const MAX_ACTIVE_DOWNLOADS = 1;
+
+const MAX_REDIRECTS = 10;
+
+// Progress events are sent at most this often per download
+const PROGRESS_INTERVAL_MS = 500;
+
+// Model downloads by id
+const downloads = new Map();
+let nextDownloadId = 1;
+
+// .part files of removed downloads whose run has not finished yet; deleted once it has
+const pendingRemovals = new Set();
+
+// Emits 'download' (a serialized download) whenever one changes, and 'removed' (its id)
+const downloadEvents = new EventEmitter();
+downloadEvents.setMaxListeners(0);
+
+// URL of a file in a hub repo: <endpoint>/<owner>/<repo>/resolve/<revision>/<file>
+function hubFileUrl(repo, file, revision = 'main') {
+  const encodePath = (value) => value.split('/').map(encodeURIComponent).join('/');
+  return `${HUB_ENDPOINT}/${encodePath(repo)}/resolve/${encodeURIComponent(revision)}/${encodePath(file)}`;
+}
+
+// Check a download request; returns { url, name, sha256 } or { error }
+function parseDownloadRequest({ url, repo, file, revision, name, sha256 }) {
+  let source = url;
+  if (!source) {
+    if (typeof repo !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(repo) || typeof file !== 'string' || !file) {
+      return { error: 'Give either url, or repo ("owner/name") and file' };
+    }
+    source = hubFileUrl(repo, file, revision || undefined);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(source);
+  } catch (e) {
+    return { error: `Invalid URL '${source}'` };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { error: 'Only http and https URLs can be downloaded' };
+  }
+
+  const target = name || decodeURIComponent(path.posix.basename(parsed.pathname));
+  if (!resolveModelName(target)) {
+    return { error: `'${target}' is not a valid model name; give a name ending in .gguf, e.g. "folder/model.gguf"` };
+  }
+  if (sha256 !== undefined && sha256 !== null && sha256 !== '' && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    return { error: 'sha256 must be 64 hex characters' };
+  }
+
+  return { url: parsed.toString(), name: target, sha256: sha256 ? sha256.toLowerCase() : null };
+}
+
+function serializeDownload(download) {
+  const { id, url, name, status, received, total, sha256, error, createdAt, completedAt } = download;
+  return { id, url, name, status, received, total, sha256, error, createdAt, completedAt };
+}
+
+function notify(download) {
+  download.lastNotified = Date.now();
+  downloadEvents.emit('download', serializeDownload(download));
+}
+
+function setStatus(download, status, error = null) {
+  download.status = status;
+  download.error = error;
+  if (status === 'completed') {
+    download.completedAt = new Date().toISOString();
+  }
+  notify(download);
+}
+
+function isActiveDownload(download) {
+  return download.status === 'queued' || download.status === 'downloading' || download.status === 'verifying';
+}
+
+// A download in the list (other than a completed one) is already heading for this name
+function findDownloadByName(name) {
+  return Array.from(downloads.values()).find(d => d.name === name && d.status !== 'completed') || null;
+}
+
+function getDownload(id) {
+  return downloads.get(id) || null;
+}
+
+function listDownloads() {
+  return Array.from(downloads.values()).map(serializeDownload);
+}
+
+function tempPath(download) {
+  return `${resolveModelName(download.name)}.part`;
+}
+
+// GET a URL, following redirects. Resolves with the final response.
+function request(url, headers, onRequest, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https:') ? https : http;
+    const req = protocol.get(url, { headers: { 'User-Agent': 'Yapper', ...headers } }, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        request(new URL(res.headers.location, url).toString(), headers, onRequest, redirects + 1).then(resolve, reject);
+        return;
+      }
+      resolve(res);
+    });
+    req.on('error', reject);
+    onRequest(req);
+  });
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Fetch into <name>.part, resuming from what is already there, then verify and move it into place
+async function runDownload(download) {
+  const partPath = tempPath(download);
+  fs.mkdirSync(path.dirname(partPath), { recursive: true });
+  const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+  // If-Range makes the server send the whole file instead of a range when it changed since the part was written
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    if (download.etag) headers['If-Range'] = download.etag;
+  }
+
+  const res = await request(download.url, headers, (req) => { download.request = req; });
+  if (res.statusCode === 416 && offset > 0) {
+    // The part already holds the whole file
+    res.resume();
+    download.received = offset;
+    download.total = offset;
+  } else {
+    if (res.statusCode !== 200 && res.statusCode !== 206) {
+      res.resume();
+      throw new Error(`Download failed: HTTP ${res.statusCode}`);
+    }
+
+    const resumed = res.statusCode === 206;
+    const range = /\/(\d+)$/.exec(res.headers['content-range'] || '');
+    const length = parseInt(res.headers['content-length'], 10);
+    download.etag = res.headers.etag || download.etag;
+    download.received = resumed ? offset : 0;
+    download.total = range ? Number(range[1]) : (Number.isNaN(length) ? null : download.received + length);
+    notify(download);
+
+    const file = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+    // When pausing aborts the request, pipeline calls back before the file is closed; wait for it,
+    // as resuming appends to the same file
+    const fileClosed = new Promise(resolve => file.once('close', resolve));
+    await new Promise((resolve, reject) => {
+      res.on('data', (chunk) => {
+        download.received += chunk.length;
+        if (Date.now() - download.lastNotified >= PROGRESS_INTERVAL_MS) {
+          notify(download);
+        }
+      });
+      pipeline(res, file, (err) => fileClosed.then(() => (err ? reject(err) : resolve())));
+    });
+
+    if (download.total !== null && download.received < download.total) {
+      throw new Error('Connection closed before the download finished');
+    }
+  }
+  download.request = null;
+
+  if (download.sha256) {
+    setStatus(download, 'verifying');
+    const actual = await hashFile(partPath);
+    if (download.status !== 'verifying') {
+      throw new Error('Download was cancelled');
+    }
+    if (actual !== download.sha256) {
+      fs.unlinkSync(partPath);
+      throw new Error(`SHA256 mismatch: expected ${download.sha256}, got ${actual}`);
+    }
+  }
+
+  // A model with the same name may have appeared since the download was queued; never replace it
+  const modelPath = resolveModelName(download.name);
+  if (fs.existsSync(modelPath)) {
+    throw new Error(`Model '${download.name}' already exists`);
+  }
+  fs.renameSync(partPath, modelPath);
+}
+
+// Start queued downloads while there is room. A download paused and resumed before its last run
+// has finished writing to the .part file waits for that run, so both never append to it at once;
+// a new download of a removed one's name waits until its .part file is gone.
+function processQueue() {
+  const active = Array.from(downloads.values()).filter(d => d.status === 'downloading' || d.status === 'verifying');
+  const queued = Array.from(downloads.values())
+    .filter(d => d.status === 'queued' && !d.running && !pendingRemovals.has(tempPath(d)));
+
+  for (const download of queued.slice(0, Math.max(0, MAX_ACTIVE_DOWNLOADS - active.length))) {
+    setStatus(download, 'downloading');
+    download.running = true;
+    runDownload(download)
+      .then(() => {
+        if (download.status !== 'cancelled') setStatus(download, 'completed');
+      })
+      .catch((error) => {
+        download.request = null;
+        // Pausing and cancelling abort the request on purpose; their status is already set
+        if (download.status === 'downloading' || download.status === 'verifying') {
+          setStatus(download, 'failed', error.message);
+        }
+      })
+      .finally(() => {
+        download.running = false;
+        if (download.status !== 'cancelled') {
+          return processQueue();
+        }
+        // Removed while running: its write stream has closed now, so the file cannot be recreated
+        const partPath = tempPath(download);
+        fs.rm(partPath, { force: true }, () => {
+          pendingRemovals.delete(partPath);
+          processQueue();
+        });
+      });
+  }
+}
+
+// Queue a download from a parsed request ({ url, name, sha256 })
+function addDownload({ url, name, sha256 }) {
+  const download = {
+    id: String(nextDownloadId++),
+    url,
+    name,
+    sha256,
+    status: 'queued',
+    received: 0,
+    total: null,
+    etag: null,
+    error: null,
+    request: null,
+    running: false,
+    lastNotified: 0,
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+  downloads.set(download.id, download);
+  notify(download);
+  processQueue();
+  return download;
+}
+
+// Stop a running or queued download, keeping the partial file so it can resume later
+function pauseDownload(download) {
+  if (download.status !== 'queued' && download.status !== 'downloading') return false;
+  setStatus(download, 'paused');
+  if (download.request) download.request.destroy();
+  return true;
+}
+
+function resumeDownload(download) {
+  if (download.status !== 'paused' && download.status !== 'failed') return false;
+  setStatus(download, 'queued');
+  processQueue();
+  return true;
+}
+
+// Cancel a download (deleting its partial file) and drop it from the list
+function removeDownload(download) {
+  const wasActive = isActiveDownload(download) || download.status === 'paused' || download.status === 'failed';
+  download.status = 'cancelled';
+  if (download.request) download.request.destroy();
+  downloads.delete(download.id);
+  downloadEvents.emit('removed', download.id);
+
+  if (download.running) {
+    // The run removes the file once the aborted stream has closed
+    pendingRemovals.add(tempPath(download));
+  } else if (wasActive) {
+    fs.rm(tempPath(download), { force: true }, () => {});
+  }
+}
+
+// Abort transfers on shutdown; partial files stay for the next run to resume
+function abortAllDownloads() {
+  for (const download of downloads.values()) {
+    if (download.request) download.request.destroy();
+  }
+}
+
+module.exports = {
+  HUB_ENDPOINT,
+  downloadEvents,
+  parseDownloadRequest,
+  findDownloadByName,
+  getDownload,
+  listDownloads,
+  serializeDownload,
+  addDownload,
+  pauseDownload,
+  resumeDownload,
+  removeDownload,
+  abortAllDownloads
+};
@@ -0,0 +1,110 @@
+const {
+  instanceEvents,
+  listInstances,
+  getLastLogId,
+  getBootId,
+  getLogsSince,
+  serializeInstance
+} = require('./instances');
+const { downloadEvents, listDownloads } = require('./downloads');
+const { modelEvents } = require('./models');
+const { installEvents, getInstallJob } = require('./installer');
+
+// Keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+// Log lines replayed per instance to a client connecting without a cursor
+const INITIAL_LOG_REPLAY = 100;
+
+function writeEvent(res, event, data, id) {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Log event ids are '<bootId>-<n>'; a cursor from an earlier boot is ignored
+function logEventId(entry) {
+  return `${getBootId()}-${entry.id}`;
+}
+
+function parseCursor(rawCursor) {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(rawCursor || '');
+  if (!match || match[1] !== getBootId()) {
+    return null;
+  }
+  return parseInt(match[2], 10);
+}
+
+// Logs a new client should receive: everything after its cursor, or the recent tail of each instance
+function getReplayLogs(cursor) {
+  if (cursor !== null) {
+    return getLogsSince(cursor);
+  }
+  return listInstances()
+    .flatMap(instance => instance.logs.slice(-INITIAL_LOG_REPLAY))
+    .sort((a, b) => a.id - b.id);
+}
+
+// Server-Sent Events stream of instance status changes, log lines, model download progress, model library changes
+// and llama.cpp install progress.
+// Log events carry their id, so a reconnecting EventSource resumes via Last-Event-ID.
+function handleEventStream(req, res) {
+  const cursor = parseCursor(req.get('last-event-id') || req.query.cursor);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 2000\n\n');
+
+  writeEvent(res, 'snapshot', {
+    instances: listInstances().map(instance => serializeInstance(instance)),
+    bootId: getBootId(),
+    lastLogId: getLastLogId(),
+    downloads: listDownloads(),
+    install: getInstallJob()
+  });
+  for (const entry of getReplayLogs(cursor)) {
+    writeEvent(res, 'log', entry, logEventId(entry));
+  }
+
+  const onStatus = (instance) => writeEvent(res, 'status', serializeInstance(instance));
+  const onLog = (entry) => writeEvent(res, 'log', entry, logEventId(entry));
+  const onClear = (name) => writeEvent(res, 'clear', { instance: name });
+  const onRemoved = (name) => writeEvent(res, 'removed', { instance: name });
+  const onDownload = (download) => writeEvent(res, 'download', download);
+  const onDownloadRemoved = (id) => writeEvent(res, 'download-removed', { id });
+  const onModelChange = (change) => writeEvent(res, 'models', change);
+  const onInstall = (job) => writeEvent(res, 'install', job);
+  const onInstallOutput = (output) => writeEvent(res, 'install-output', output);
+
+  instanceEvents.on('status', onStatus);
+  instanceEvents.on('log', onLog);
+  instanceEvents.on('clear', onClear);
+  instanceEvents.on('removed', onRemoved);
+  downloadEvents.on('download', onDownload);
+  downloadEvents.on('removed', onDownloadRemoved);
+  modelEvents.on('change', onModelChange);
+  installEvents.on('job', onInstall);
+  installEvents.on('output', onInstallOutput);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    instanceEvents.off('status', onStatus);
+    instanceEvents.off('log', onLog);
+    instanceEvents.off('clear', onClear);
+    instanceEvents.off('removed', onRemoved);
+    downloadEvents.off('download', onDownload);
+    downloadEvents.off('removed', onDownloadRemoved);
+    modelEvents.off('change', onModelChange);
+    installEvents.off('job', onInstall);
+    installEvents.off('output', onInstallOutput);
+  });
+}
+
+module.exports = { handleEventStream };
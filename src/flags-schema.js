@@ -0,0 +1,326 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Generate flag definitions from `llama-server --help` and reconcile them with config/llama-flags.json
+const FLAGS_FILE = path.join(__dirname, '../config/llama-flags.json');
+
+// --help prints descriptions from this column; longer names push the description to the next line
+const DESCRIPTION_COLUMN = 40;
+
+// Keys maintained by hand in llama-flags.json; --help cannot tell them (e.g. file vs text, ranges)
+const CURATED_KEYS = ['type', 'section', 'min', 'max', 'integer', 'conflicts', 'requires', 'requiresOneOf', 'repeatable', 'scaled'];
+
+// Fields compared by the diff report (description wording changes are not reported)
+const REPORTED_KEYS = ['type', 'short', 'default', 'options'];
+
+// Sections for flags that are new to llama-flags.json, by --help heading
+const HELP_SECTIONS = {
+  common: 'other',
+  sampling: 'sampling',
+  'example-specific': 'server'
+};
+
+// Split --help output into one { heading, head, lines } block per option
+function splitHelpEntries(text) {
+  const entries = [];
+  let heading = 'common';
+  let current = null;
+
+  for (const line of text.replace(/\r/g, '').split('\n')) {
+    const headingMatch = /^-----\s*(.+?)\s+params\s*-----/.exec(line);
+    if (headingMatch) {
+      heading = headingMatch[1];
+      current = null;
+    } else if (line.startsWith('-')) {
+      // Split at the description column when the names fit before it
+      const fits = line.length > DESCRIPTION_COLUMN && line.slice(DESCRIPTION_COLUMN - 3, DESCRIPTION_COLUMN).trim() === '';
+      current = {
+        heading,
+        head: fits ? line.slice(0, DESCRIPTION_COLUMN).trim() : line.trim(),
+        lines: fits ? [line.slice(DESCRIPTION_COLUMN).trim()] : []
+      };
+      entries.push(current);
+    } else if (current && line.trim()) {
+      current.lines.push(line.trim());
+    } else if (!line.trim()) {
+      current = null;
+    }
+  }
+  return entries;
+}
+
+// Group option names: short names belong to the long name that follows them,
+// and "--no-<name>" starts the negated flag of a combined "--x, --no-x" entry
+function groupNames(names) {
+  const groups = [];
+  let pending = [];
+
+  for (const name of names) {
+    if (!name.startsWith('--')) {
+      pending.push(name);
+      continue;
+    }
+    const primary = groups[0];
+    if (!primary || name === `--no-${primary.long.slice(2)}`) {
+      groups.push({ long: name, shorts: pending });
+    } else {
+      primary.shorts.push(...pending);
+    }
+    pending = [];
+  }
+  if (groups.length > 0) {
+    groups[0].shorts.push(...pending);
+  }
+  return groups;
+}
+
+function parseDefault(raw, type) {
+  if (raw === undefined) {
+    return type === 'boolean' ? false : null;
+  }
+  if (type === 'boolean') {
+    return /^(true|enabled|on)$/i.test(raw);
+  }
+
+  const quoted = /^(["'`])(.*)\1$/.exec(raw);
+  if (quoted) {
+    return quoted[2];
+  }
+  if (type === 'number') {
+    return raw !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : null;
+  }
+  if (type === 'select') {
+    return raw || null;
+  }
+  // Free-form explanations ("same as --threads") are not values
+  return /\s/.test(raw) || raw === '' ? null : raw;
+}
+
+function inferType(hints, options, rawDefault) {
+  if (hints.length === 0) return 'boolean';
+  if (options) return 'select';
+  if (/FNAME|FILE|PATH|DIR/.test(hints[0])) return 'file';
+  if (/^(N|SEED|PORT)$/.test(hints[0])) return 'number';
+  if (rawDefault !== undefined && rawDefault !== '' && !Number.isNaN(Number(rawDefault)) && /^[A-Z]$/.test(hints[0])) return 'number';
+  return 'text';
+}
+
+function parseEntry(entry) {
+  const tokens = entry.head.split(/,?\s+/).filter(Boolean);
+  const names = tokens.filter(token => token.startsWith('-'));
+  const hints = tokens.slice(names.length);
+
+  const description = entry.lines.join(' ');
+  const defaultMatch = /\bdefault:\s*([^,)]*)/.exec(description);
+  const rawDefault = defaultMatch ? defaultMatch[1].trim() : undefined;
+
+  // Options come from the value hint ({a,b} or [a|b]), an "allowed values:" line or a "- value:" list
+  let options = null;
+  const hintOptions = /^[{[](.+)[}\]]$/.exec(hints[0] || '');
+  const allowedLine = entry.lines.find(line => line.startsWith('allowed values:'));
+  const listed = entry.lines.map(line => /^- ([\w.-]+):/.exec(line)).filter(Boolean).map(match => match[1]);
+  if (hintOptions && /[|,]/.test(hintOptions[1])) {
+    options = hintOptions[1].split(/[|,]/);
+  } else if (allowedLine) {
+    options = allowedLine.slice('allowed values:'.length).split(',').map(value => value.trim()).filter(Boolean);
+  } else if (listed.length > 0) {
+    options = listed;
+  }
+
+  const type = inferType(hints, options, rawDefault);
+  const text = entry.lines
+    .filter(line => !/^\(env:/.test(line) && !/^- [\w.-]+:/.test(line) && !line.startsWith('allowed values:'))
+    .join(' ')
+    .replace(/\s*\(default:[^)]*\)/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[;,]?\s*one of:$/, '')
+    .trim();
+
+  const [primary, negated] = groupNames(names);
+  if (!primary) return [];
+
+  const def = { type };
+  if (primary.shorts.length > 0) def.short = primary.shorts[0];
+  if (options) def.options = options;
+  def.section = HELP_SECTIONS[entry.heading] || 'other';
+  def.default = parseDefault(rawDefault, type);
+  def.description = text;
+  if (/can be repeated/.test(text)) def.repeatable = true;
+  if (hints.length === 2 && hints[1] === 'SCALE') def.scaled = true;
+
+  // Presets: "--<model>-default" / "--<model>-spec" options that pick a model
+  if (/-(default|spec)$/.test(primary.long) && /^use /.test(text)) {
+    def.section = 'presets';
+  }
+
+  const flags = [[primary.long.slice(2), def]];
+  if (negated) {
+    const negatedDef = { type: 'boolean' };
+    if (negated.shorts.length > 0) negatedDef.short = negated.shorts[0];
+    negatedDef.section = def.section;
+    negatedDef.default = false;
+    negatedDef.description = '';
+    flags.push([negated.long.slice(2), negatedDef]);
+  }
+  return flags;
+}
+
+// Parse `llama-server --help` output into flag definitions
+function parseHelpText(text) {
+  const definitions = {};
+  for (const entry of splitHelpEntries(text)) {
+    for (const [name, def] of parseEntry(entry)) {
+      definitions[name] = def;
+    }
+  }
+  return definitions;
+}
+
+// Run the binary's --help and parse it
+function generateFlagSchema(serverPath) {
+  return new Promise((resolve, reject) => {
+    execFile(serverPath, ['--help'], { timeout: 15000, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+      const text = stdout || stderr;
+      if (error && !text) {
+        return reject(new Error(`Failed to run ${serverPath} --help: ${error.message}`));
+      }
+      const definitions = parseHelpText(text);
+      if (Object.keys(definitions).length === 0) {
+        return reject(new Error(`No flags found in the output of ${serverPath} --help`));
+      }
+      resolve(definitions);
+    });
+  });
+}
+
+// Compare the shipped schema with generated definitions.
+// Returns { added, removed, changed }; removed flags are the ones the binary does not support.
+function diffFlagSchemas(shipped, generated) {
+  const added = Object.keys(generated).filter(name => !(name in shipped));
+  const removed = Object.keys(shipped).filter(name => !(name in generated));
+  const changed = [];
+
+  for (const name of Object.keys(shipped).filter(name => name in generated)) {
+    const changes = {};
+    for (const key of REPORTED_KEYS) {
+      const from = shipped[name][key];
+      const to = generated[name][key];
+      // null means --help does not state a value
+      if (to !== undefined && to !== null && JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[key] = { from: from === undefined ? null : from, to };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ flag: name, changes });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+// Update the shipped schema from generated definitions: unsupported flags are dropped, new ones appended,
+// and short/default/options/description refreshed while hand-maintained keys are kept
+function mergeFlagSchemas(shipped, generated) {
+  const merged = {};
+
+  for (const [name, def] of Object.entries(shipped)) {
+    const fresh = generated[name];
+    if (!fresh) continue;
+
+    const result = {};
+    result.type = def.type;
+    const short = fresh.short || def.short;
+    if (short) result.short = short;
+    const options = fresh.options || def.options;
+    if (options) result.options = options;
+    result.section = def.section;
+    // A default parsed as another type than the curated one (e.g. number vs select) is not trusted
+    result.default = fresh.type === def.type && fresh.default !== null ? fresh.default : def.default;
+    result.description = fresh.description || def.description;
+    for (const key of CURATED_KEYS) {
+      if (!(key in result) && def[key] !== undefined) result[key] = def[key];
+    }
+    for (const key of ['repeatable', 'scaled']) {
+      if (fresh[key] && !result[key]) result[key] = true;
+    }
+    merged[name] = result;
+  }
+
+  for (const [name, def] of Object.entries(generated)) {
+    if (!(name in merged)) {
+      merged[name] = { ...def, description: def.description || `negates --${name.replace(/^no-/, '')}` };
+    }
+  }
+  return merged;
+}
+
+// Serialize definitions the way llama-flags.json is laid out: one flag per line
+function formatFlagSchema(definitions) {
+  const lines = Object.entries(definitions).map(([name, def]) => {
+    const fields = Object.entries(def).map(([key, value]) => {
+      const json = Array.isArray(value) ? `[${value.map(item => JSON.stringify(item)).join(', ')}]` : JSON.stringify(value);
+      return `${JSON.stringify(key)}: ${json}`;
+    });
+    return `  ${JSON.stringify(name)}: { ${fields.join(', ')} }`;
+  });
+  return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+function printReport({ added, removed, changed }) {
+  console.log(`Added (${added.length}): ${added.join(', ') || '-'}`);
+  console.log(`Not supported by this binary (${removed.length}): ${removed.join(', ') || '-'}`);
+  console.log(`Changed (${changed.length}):`);
+  for (const { flag, changes } of changed) {
+    for (const [key, { from, to }] of Object.entries(changes)) {
+      console.log(`  ${flag}.${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    }
+  }
+}
+
+// Command line: node src/flags-schema.js [--binary <path> | --help-file <file>] [--write]
+async function main() {
+  const argv = process.argv.slice(2);
+  const option = (name) => {
+    const index = argv.indexOf(name);
+    return index >= 0 ? argv[index + 1] : undefined;
+  };
+
+  try {
+    const helpFile = option('--help-file');
+    let generated;
+    if (helpFile) {
+      generated = parseHelpText(fs.readFileSync(helpFile, 'utf-8'));
+    } else {
+      const serverPath = option('--binary') || require('./install').checkLlamaServer();
+      if (!serverPath) {
+        throw new Error('llama-server not found; pass --binary <path> or --help-file <file>');
+      }
+      generated = await generateFlagSchema(serverPath);
+    }
+
+    const shipped = JSON.parse(fs.readFileSync(FLAGS_FILE, 'utf-8'));
+    printReport(diffFlagSchemas(shipped, generated));
+
+    if (argv.includes('--write')) {
+      fs.writeFileSync(FLAGS_FILE, formatFlagSchema(mergeFlagSchemas(shipped, generated)));
+      console.log(`\nUpdated ${FLAGS_FILE}`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  FLAGS_FILE,
+  parseHelpText,
+  generateFlagSchema,
+  diffFlagSchemas,
+  mergeFlagSchemas,
+  formatFlagSchema
+};
+
+if (require.main === module) {
+  main();
+}
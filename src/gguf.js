@@ -0,0 +1,267 @@
+const fs = require('fs');
+
+// Reading GGUF model headers: https://github.com/ggml-org/ggml/blob/master/docs/gguf.md
+const GGUF_MAGIC = 0x46554747; // "GGUF" little-endian
+
+// Value types of metadata entries
+const VALUE_TYPES = {
+  UINT8: 0, INT8: 1, UINT16: 2, INT16: 3, UINT32: 4, INT32: 5, FLOAT32: 6,
+  BOOL: 7, STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12
+};
+
+const SCALAR_SIZES = { 0: 1, 1: 1, 2: 2, 3: 2, 4: 4, 5: 4, 6: 4, 7: 1, 10: 8, 11: 8, 12: 8 };
+
+// general.file_type (llama_ftype) names
+const FILE_TYPES = {
+  0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+  10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+  16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+  22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+  28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16', 36: 'TQ1_0',
+  37: 'TQ2_0', 38: 'MXFP4_MOE'
+};
+
+// Tensor (ggml_type) names, used when a file has no general.file_type
+const TENSOR_TYPES = {
+  0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 6: 'Q5_0', 7: 'Q5_1', 8: 'Q8_0', 9: 'Q8_1',
+  10: 'Q2_K', 11: 'Q3_K', 12: 'Q4_K', 13: 'Q5_K', 14: 'Q6_K', 15: 'Q8_K', 16: 'IQ2_XXS',
+  17: 'IQ2_XS', 18: 'IQ3_XXS', 19: 'IQ1_S', 20: 'IQ4_NL', 21: 'IQ3_S', 22: 'IQ2_S',
+  23: 'IQ4_XS', 24: 'I8', 25: 'I16', 26: 'I32', 27: 'I64', 28: 'F64', 29: 'IQ1_M',
+  30: 'BF16', 34: 'TQ1_0', 35: 'TQ2_0', 39: 'MXFP4'
+};
+
+// Strings longer than this (other than the chat template) are not kept
+const MAX_STRING_LENGTH = 64 * 1024;
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// Buffered sequential reader over a file descriptor
+class HeaderReader {
+  constructor(fd) {
+    this.fd = fd;
+    this.buffer = Buffer.alloc(0);
+    this.offset = 0;
+    this.position = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length <= this.buffer.length) return;
+
+    const remaining = this.buffer.subarray(this.offset);
+    const chunk = Buffer.alloc(Math.max(READ_CHUNK_SIZE, length));
+    const bytesRead = fs.readSync(this.fd, chunk, 0, chunk.length, this.position);
+    this.position += bytesRead;
+    this.buffer = Buffer.concat([remaining, chunk.subarray(0, bytesRead)]);
+    this.offset = 0;
+
+    if (this.buffer.length < length) {
+      throw new Error('Unexpected end of file in GGUF header');
+    }
+  }
+
+  skip(length) {
+    while (length > 0) {
+      const step = Math.min(length, READ_CHUNK_SIZE);
+      this.ensure(step);
+      this.offset += step;
+      length -= step;
+    }
+  }
+
+  u32() {
+    this.ensure(4);
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  u64() {
+    this.ensure(8);
+    const value = this.buffer.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return Number(value);
+  }
+
+  string(keep = true) {
+    const length = this.u64();
+    if (!keep) {
+      this.skip(length);
+      return null;
+    }
+    this.ensure(length);
+    const value = this.buffer.toString('utf-8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  scalar(type) {
+    const size = SCALAR_SIZES[type];
+    if (size === undefined) {
+      throw new Error(`Unknown GGUF value type ${type}`);
+    }
+    this.ensure(size);
+    const buf = this.buffer;
+    const at = this.offset;
+    this.offset += size;
+
+    switch (type) {
+      case VALUE_TYPES.UINT8: return buf.readUInt8(at);
+      case VALUE_TYPES.INT8: return buf.readInt8(at);
+      case VALUE_TYPES.UINT16: return buf.readUInt16LE(at);
+      case VALUE_TYPES.INT16: return buf.readInt16LE(at);
+      case VALUE_TYPES.UINT32: return buf.readUInt32LE(at);
+      case VALUE_TYPES.INT32: return buf.readInt32LE(at);
+      case VALUE_TYPES.FLOAT32: return buf.readFloatLE(at);
+      case VALUE_TYPES.BOOL: return buf.readUInt8(at) !== 0;
+      case VALUE_TYPES.UINT64: return Number(buf.readBigUInt64LE(at));
+      case VALUE_TYPES.INT64: return Number(buf.readBigInt64LE(at));
+      case VALUE_TYPES.FLOAT64: return buf.readDoubleLE(at);
+    }
+  }
+
+  // Read a metadata value. Arrays are skipped (only their length is kept) except short numeric ones.
+  value(type, key) {
+    if (type === VALUE_TYPES.STRING) {
+      const keep = key === 'tokenizer.chat_template' || key.startsWith('tokenizer.chat_template.');
+      const length = this.u64();
+      if (!keep && length > MAX_STRING_LENGTH) {
+        this.skip(length);
+        return null;
+      }
+      this.ensure(length);
+      const value = this.buffer.toString('utf-8', this.offset, this.offset + length);
+      this.offset += length;
+      return value;
+    }
+
+    if (type === VALUE_TYPES.ARRAY) {
+      const itemType = this.u32();
+      const count = this.u64();
+      if (itemType === VALUE_TYPES.STRING) {
+        for (let i = 0; i < count; i++) this.string(false);
+        return { type: 'array', length: count };
+      }
+      if (itemType === VALUE_TYPES.ARRAY) {
+        throw new Error('Nested GGUF arrays are not supported');
+      }
+      // Per-layer values (e.g. head counts of hybrid models) are short enough to keep
+      if (count <= 1024) {
+        const items = [];
+        for (let i = 0; i < count; i++) items.push(this.scalar(itemType));
+        return items;
+      }
+      this.skip(count * SCALAR_SIZES[itemType]);
+      return { type: 'array', length: count };
+    }
+
+    return this.scalar(type);
+  }
+}
+
+// Read the header of a GGUF file: { version, metadata, tensorCount, parameterCount, tensorTypes }
+function readGgufHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const reader = new HeaderReader(fd);
+    if (reader.u32() !== GGUF_MAGIC) {
+      throw new Error('Not a GGUF file');
+    }
+    const version = reader.u32();
+    if (version < 2) {
+      throw new Error(`GGUF version ${version} is not supported`);
+    }
+
+    const tensorCount = reader.u64();
+    const kvCount = reader.u64();
+
+    const metadata = {};
+    for (let i = 0; i < kvCount; i++) {
+      const key = reader.string();
+      const type = reader.u32();
+      metadata[key] = reader.value(type, key);
+    }
+
+    // Tensor infos: name, dimensions, type, offset
+    let parameterCount = 0;
+    const tensorTypes = {};
+    for (let i = 0; i < tensorCount; i++) {
+      reader.string(false);
+      const dims = reader.u32();
+      let elements = 1;
+      for (let d = 0; d < dims; d++) {
+        elements *= reader.u64();
+      }
+      const type = reader.u32();
+      reader.u64();
+
+      parameterCount += elements;
+      tensorTypes[type] = (tensorTypes[type] || 0) + elements;
+    }
+
+    return { version, metadata, tensorCount, parameterCount, tensorTypes };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Quantization name: general.file_type, else the type holding most of the weights
+function quantizationName(metadata, tensorTypes) {
+  const fileType = metadata['general.file_type'];
+  if (fileType !== undefined) {
+    return FILE_TYPES[fileType] || `type ${fileType}`;
+  }
+  const [dominant] = Object.entries(tensorTypes).sort((a, b) => b[1] - a[1]);
+  return dominant ? (TENSOR_TYPES[dominant[0]] || `type ${dominant[0]}`) : null;
+}
+
+// The facts about a model Yapper cares about, from its GGUF header
+function summarizeGguf({ version, metadata, tensorCount, parameterCount, tensorTypes }) {
+  const architecture = metadata['general.architecture'] || null;
+  const archKey = (name) => (architecture ? metadata[`${architecture}.${name}`] : undefined);
+  const orNull = (value) => (value === undefined ? null : value);
+
+  return {
+    ggufVersion: version,
+    name: orNull(metadata['general.name']),
+    architecture,
+    parameterCount,
+    sizeLabel: orNull(metadata['general.size_label']),
+    quantization: quantizationName(metadata, tensorTypes),
+    contextLength: orNull(archKey('context_length')),
+    blockCount: orNull(archKey('block_count')),
+    embeddingLength: orNull(archKey('embedding_length')),
+    headCount: orNull(archKey('attention.head_count')),
+    headCountKv: orNull(archKey('attention.head_count_kv')),
+    keyLength: orNull(archKey('attention.key_length')),
+    valueLength: orNull(archKey('attention.value_length')),
+    slidingWindow: orNull(archKey('attention.sliding_window')),
+    expertCount: orNull(archKey('expert_count')),
+    tokenizer: orNull(metadata['tokenizer.ggml.model']),
+    vocabSize: metadata['tokenizer.ggml.tokens'] ? metadata['tokenizer.ggml.tokens'].length : null,
+    chatTemplate: orNull(metadata['tokenizer.chat_template']),
+    splitCount: orNull(metadata['split.count']),
+    tensorCount
+  };
+}
+
+// Parsed summaries keyed by path; reparsed when the file changes
+const cache = new Map();
+
+function readModelMetadata(filePath) {
+  const stats = fs.statSync(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.metadata;
+  }
+
+  const metadata = summarizeGguf(readGgufHeader(filePath));
+  cache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, metadata });
+  return metadata;
+}
+
+module.exports = {
+  GGUF_MAGIC,
+  readGgufHeader,
+  summarizeGguf,
+  readModelMetadata
+};
@@ -1,4 +1,5 @@
-const { exec, spawn } = require('child_process');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -6,12 +7,41 @@ const https = require('https');
 const http = require('http');
 const { createWriteStream } = require('fs');
 const { pipeline } = require('stream');
+const { buildId, buildDir, findServerBinary, getActiveBuild, checkBuildReplaceable, addBuild } = require('./builds');
+const { settingPath } = require('./settings');
 
 // Configuration
 const LLAMA_CPP_REPO = 'https://github.com/ggml-org/llama.cpp.git';
-const LLAMA_CPP_DIR = path.join(__dirname, '../llama.cpp');
+const LLAMA_CPP_DIR = settingPath('llamaCppDir');
 const BUILD_DIR = path.join(LLAMA_CPP_DIR, 'build');
 const BIN_DIR = path.join(BUILD_DIR, 'bin');
+const INSTALL_CONFIG_PATH = path.join(__dirname, '../config/install.json');
+
+// Defaults for config/install.json: the GitHub API to ask (point it at a mirror or mock server),
+// the release tag to install and, per platform, the asset variants to try in order. serverPath
+// points at a llama-server to use instead of the managed builds.
+const DEFAULT_INSTALL_CONFIG = {
+    githubApi: 'https://api.github.com',
+    repo: 'ggml-org/llama.cpp',
+    tag: 'latest',
+    variants: {},
+    serverPath: null
+};
+
+const SERVER_BINARY = 'llama-server' + (os.platform() === 'win32' ? '.exe' : '');
+
+// Redirects a download follows (GitHub sends release assets to its CDN)
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+// Settings from config/install.json; overrides with a value (e.g. from the command line) win
+function loadInstallConfig(overrides = {}) {
+    const config = fs.existsSync(INSTALL_CONFIG_PATH)
+        ? JSON.parse(fs.readFileSync(INSTALL_CONFIG_PATH, 'utf-8'))
+        : {};
+    const given = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+    return { ...DEFAULT_INSTALL_CONFIG, ...config, ...given };
+}
 
 // Detect platform
 function getPlatform() {
@@ -23,66 +53,97 @@ function getPlatform() {
     } else if (platform === 'darwin') {
         return arch === 'arm64' ? 'macos-arm64' : 'macos-x64';
     } else if (platform === 'linux') {
-        return 'linux-x64';
+        return arch === 'arm64' ? 'linux-arm64' : 'linux-x64';
     }
     throw new Error(`Unsupported platform: ${platform}-${arch}`);
 }
 
-// Fetch latest release from GitHub API
-async function getLatestRelease() {
+// GET a JSON document from the GitHub API
+function githubRequest(config, apiPath) {
     return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'api.github.com',
-            path: '/repos/ggml-org/llama.cpp/releases/latest',
-            method: 'GET',
-            headers: {
-                'User-Agent': 'Node.js',
-                'Accept': 'application/vnd.github.v3+json'
-            }
+        const url = new URL(config.githubApi.replace(/\/+$/, '') + apiPath);
+        const protocol = url.protocol === 'https:' ? https : http;
+        const headers = {
+            'User-Agent': 'Node.js',
+            'Accept': 'application/vnd.github.v3+json'
         };
+        // A token raises the API rate limit
+        if (process.env.GITHUB_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+        }
 
-        https.request(options, (res) => {
+        protocol.get(url, { headers }, (res) => {
             let data = '';
             res.on('data', (chunk) => { data += chunk; });
             res.on('end', () => {
+                if (res.statusCode === 404) {
+                    reject(new Error(`Not found on GitHub: ${apiPath}`));
+                    return;
+                }
+                if (res.statusCode !== 200) {
+                    reject(new Error(`GitHub API request failed: ${res.statusCode} ${data.slice(0, 200)}`));
+                    return;
+                }
                 try {
-                    const release = JSON.parse(data);
-                    resolve(release);
+                    resolve(JSON.parse(data));
                 } catch (e) {
                     reject(new Error('Failed to parse GitHub API response'));
                 }
             });
-        }).on('error', reject).end();
+        }).on('error', reject);
     });
 }
 
-// Find the right binary asset for the platform
-function findBinaryAsset(release, platform) {
-    const assets = release.assets || [];
-    
-    // Map platforms to asset name patterns (in priority order)
-    const patterns = {
-        'windows-x64': ['llama-.*-bin-win-cuda', 'win-cuda', 'llama-.*-bin-win-cpu', 'win-cpu'],
-        'macos-x64': ['llama-.*-bin-macos-x64', 'bin-macos-x64'],
-        'macos-arm64': ['llama-.*-bin-macos-arm64', 'bin-macos-arm64'],
-        'linux-x64': ['llama-.*-bin-ubuntu-x64', 'bin-ubuntu-x64']
-    };
+// Fetch a release by tag ("latest" for the newest one)
+async function getRelease(tag = 'latest', config = loadInstallConfig()) {
+    const apiPath = tag === 'latest'
+        ? `/repos/${config.repo}/releases/latest`
+        : `/repos/${config.repo}/releases/tags/${encodeURIComponent(tag)}`;
+    return githubRequest(config, apiPath);
+}
 
-    const searchPatterns = patterns[platform] || [];
-    
-    for (const pattern of searchPatterns) {
-        const regex = new RegExp(pattern, 'i');
-        const asset = assets.find(a => 
-            regex.test(a.name) && (a.name.endsWith('.zip') || a.name.endsWith('.tar.gz'))
-        );
-        if (asset) return asset;
+// Recent releases: [{ tag, publishedAt, variants }]
+async function listReleases(count = 20, config = loadInstallConfig()) {
+    const releases = await githubRequest(config, `/repos/${config.repo}/releases?per_page=${count}`);
+    return releases.map(release => ({
+        tag: release.tag_name,
+        publishedAt: release.published_at,
+        variants: listBinaryVariants(release).map(v => v.variant)
+    }));
+}
+
+// Prebuilt binaries in a release, e.g. llama-b6000-bin-ubuntu-vulkan-x64.zip -> variant "ubuntu-vulkan-x64"
+// (runtime packages such as cudart-llama-bin-win-cuda-12.4-x64.zip are not binaries)
+function listBinaryVariants(release) {
+    return (release.assets || [])
+        .map(asset => {
+            const match = /^llama-.+?-bin-(.+?)\.(zip|tar\.gz)$/i.exec(asset.name);
+            return match ? { variant: match[1], asset } : null;
+        })
+        .filter(Boolean);
+}
+
+// Variant patterns use * as a wildcard: "win-cuda-*-x64" matches "win-cuda-12.4-x64"
+function matchesVariant(pattern, variant) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+    return regex.test(variant);
+}
+
+// Find the binary asset to install: the given variant, else the first match of the platform's priority list
+function findBinaryAsset(release, platform, { variant, config = loadInstallConfig() } = {}) {
+    const available = listBinaryVariants(release);
+    const patterns = variant ? [variant] : (config.variants[platform] || []);
+
+    for (const pattern of patterns) {
+        const found = available.find(v => matchesVariant(pattern, v.variant));
+        if (found) return found;
     }
-    
+
     return null;
 }
 
-// Download file from URL
-async function downloadFile(url, destPath) {
+// Download file from URL; onProgress(received, total) is called as data arrives (total is NaN when unknown)
+async function downloadFile(url, destPath, onProgress = () => {}, redirects = 0) {
     return new Promise((resolve, reject) => {
         const protocol = url.startsWith('https') ? https : http;
         const dir = path.dirname(destPath);
@@ -91,16 +152,20 @@ async function downloadFile(url, destPath) {
             fs.mkdirSync(dir, { recursive: true });
         }
 
-        console.log(`Downloading from: ${url}`);
-        
-        const file = createWriteStream(destPath);
         protocol.get(url, (response) => {
-            if (response.statusCode === 302 || response.statusCode === 301) {
-                // Follow redirect
-                downloadFile(response.headers.location, destPath).then(resolve).catch(reject);
+            if (REDIRECT_CODES.includes(response.statusCode) && response.headers.location) {
+                // Follow redirect, discarding its body
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error('Failed to download: too many redirects'));
+                    return;
+                }
+                const location = new URL(response.headers.location, url).href;
+                downloadFile(location, destPath, onProgress, redirects + 1).then(resolve).catch(reject);
                 return;
             }
             if (response.statusCode !== 200) {
+                response.resume();
                 reject(new Error(`Failed to download: ${response.statusCode}`));
                 return;
             }
@@ -110,14 +175,13 @@ async function downloadFile(url, destPath) {
             
             response.on('data', (chunk) => {
                 downloadedSize += chunk.length;
-                const percent = Math.round((downloadedSize / totalSize) * 100);
-                process.stdout.write(`\rProgress: ${percent}%`);
+                onProgress(downloadedSize, totalSize);
             });
             
-            pipeline(response, file, (err) => {
-                process.stdout.write('\n');
+            // The file is only created once the download itself has started
+            pipeline(response, createWriteStream(destPath), (err) => {
                 if (err) {
-                    fs.unlinkSync(destPath);
+                    fs.rmSync(destPath, { force: true });
                     reject(err);
                 } else {
                     resolve();
@@ -132,77 +196,129 @@ async function downloadFile(url, destPath) {
     });
 }
 
-// Download and extract latest release binaries
-async function downloadLatestRelease(platform) {
-    console.log('Fetching latest llama.cpp release...');
-    const release = await getLatestRelease();
-    
-    const asset = findBinaryAsset(release, platform);
-    if (!asset) {
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Download and extract release binaries (the configured tag unless one is given) into their own
+// build folder, and make that build the active one. onProgress({ stage, message, received, total })
+// reports each stage: fetching, downloading, verifying, extracting. Resolves with the build's id and tag.
+// inUse(id) names the instance running a build, so reinstalling it is refused (see checkBuildReplaceable).
+async function downloadRelease(platform, { tag, variant, api, inUse } = {}, onProgress = () => {}) {
+    const config = loadInstallConfig({ githubApi: api });
+    const releaseTag = tag || config.tag || 'latest';
+    onProgress({ stage: 'fetching', message: `Fetching llama.cpp release ${releaseTag}` });
+    const release = await getRelease(releaseTag, config);
+
+    const found = findBinaryAsset(release, platform, { variant, config });
+    if (!found) {
+        const wanted = variant ? `variant '${variant}'` : `${platform} (${(config.variants[platform] || []).join(', ') || 'no variants configured'})`;
         throw new Error(
-            `No prebuilt binary found for ${platform} in latest release.\n` +
-            `Available assets: ${release.assets.map(a => a.name).join(', ')}`
+            `No prebuilt binary found for ${wanted} in release ${release.tag_name}.\n` +
+            `Available variants: ${listBinaryVariants(release).map(v => v.variant).join(', ')}\n` +
+            'Pick one of these variants, or build llama.cpp from source (node src/install.js --source).'
         );
     }
+    const { asset } = found;
+    const id = buildId(release.tag_name, found.variant);
+    checkBuildReplaceable(id, inUse);
 
-    console.log(`Found: ${asset.name}`);
-    
     const downloadPath = path.join(__dirname, asset.name);
+    // Extract next to the final folder and swap it in, so a failed install leaves an existing build alone
+    const extractDir = `${buildDir(id)}.tmp`;
     
     try {
         // Download
-        await downloadFile(asset.browser_download_url, downloadPath);
-        
-        console.log('Extracting...');
-        
-        // Create bin directory
-        if (!fs.existsSync(BIN_DIR)) {
-            fs.mkdirSync(BIN_DIR, { recursive: true });
+        const message = `Downloading ${asset.name}`;
+        onProgress({ stage: 'downloading', message, received: 0, total: asset.size || null });
+        await downloadFile(asset.browser_download_url, downloadPath, (received, total) => {
+            onProgress({ stage: 'downloading', message, received, total: total || asset.size || null });
+        });
+
+        // GitHub lists a digest ("sha256:<hex>") for release assets
+        const digest = /^sha256:([0-9a-f]{64})$/i.exec(asset.digest || '');
+        if (digest) {
+            onProgress({ stage: 'verifying', message: `Verifying ${asset.name}` });
+            const actual = await hashFile(downloadPath);
+            if (actual !== digest[1].toLowerCase()) {
+                throw new Error(`SHA256 mismatch for ${asset.name}: expected ${digest[1]}, got ${actual}`);
+            }
         }
 
+        onProgress({ stage: 'extracting', message: `Extracting ${asset.name}` });
+        
+        fs.rmSync(extractDir, { recursive: true, force: true });
+        fs.mkdirSync(extractDir, { recursive: true });
+
         // Extract based on file type
         if (asset.name.endsWith('.zip')) {
             const AdmZip = require('adm-zip');
             const zip = new AdmZip(downloadPath);
-            zip.extractAllTo(BIN_DIR, true);
+            // Keep the executable bit of the binaries
+            zip.extractAllTo(extractDir, true, true);
         } else if (asset.name.endsWith('.tar.gz')) {
             // For tar.gz, use tar command
             await new Promise((resolve, reject) => {
-                const tar = spawn('tar', ['-xzf', downloadPath, '-C', BIN_DIR], { stdio: 'inherit' });
+                const tar = spawn('tar', ['-xzf', downloadPath, '-C', extractDir], { stdio: ['ignore', 'ignore', 'pipe'] });
+                let stderr = '';
+                tar.stderr.on('data', (chunk) => { stderr += chunk; });
+                tar.on('error', reject);
                 tar.on('close', (code) => {
                     if (code === 0) resolve();
-                    else reject(new Error('Failed to extract tar.gz'));
+                    else reject(new Error(`Failed to extract tar.gz: ${stderr.trim() || `tar exited with code ${code}`}`));
                 });
             });
         }
 
+        if (!findServerBinary(extractDir)) {
+            throw new Error(`${asset.name} does not contain llama-server`);
+        }
+
         // Clean up archive
         fs.unlinkSync(downloadPath);
-        console.log('Extraction complete!');
+        // An instance may have started the build during the download
+        checkBuildReplaceable(id, inUse);
+        fs.rmSync(buildDir(id), { recursive: true, force: true });
+        fs.renameSync(extractDir, buildDir(id));
 
+        addBuild({
+            id,
+            tag: release.tag_name,
+            asset: asset.name,
+            variant: found.variant,
+            platform,
+            installedAt: new Date().toISOString()
+        });
+        return { id, tag: release.tag_name };
     } catch (error) {
         if (fs.existsSync(downloadPath)) {
             fs.unlinkSync(downloadPath);
         }
+        fs.rmSync(extractDir, { recursive: true, force: true });
         throw error;
     }
 }
 
-// Ensure llama-server is available
-async function ensureLlamaServer() {
+// Ensure llama-server is available. options: { tag, variant, api, force } - force reinstalls even when one exists.
+// onProgress receives the install's progress (see downloadRelease).
+async function ensureLlamaServer(options = {}, onProgress = () => {}) {
     // First check if llama-server exists
     const existingServer = checkLlamaServer();
-    if (existingServer) {
-        console.log('llama-server found at:', existingServer);
+    if (existingServer && !options.force) {
         return existingServer;
     }
 
-    // Download latest release
+    // Download the configured (or requested) release
     const platform = getPlatform();
-    console.log(`Detected platform: ${platform}\n`);
     
     try {
-        await downloadLatestRelease(platform);
+        await downloadRelease(platform, options, onProgress);
     } catch (error) {
         throw new Error(`Failed to download llama.cpp: ${error.message}`);
     }
@@ -216,53 +332,156 @@ async function ensureLlamaServer() {
     return serverPath;
 }
 
-// Check if llama-server exists
-function checkLlamaServer() {
-    const possiblePaths = [
-        path.join(BIN_DIR, 'llama-server' + (os.platform() === 'win32' ? '.exe' : '')),
-        path.join(BUILD_DIR, 'llama-server' + (os.platform() === 'win32' ? '.exe' : '')),
-        'llama-server' // In PATH
-    ];
+// Find an executable on the PATH the way a shell would (trying PATHEXT extensions on Windows)
+function findOnPath(name) {
+    const extensions = os.platform() === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        if (!dir) continue;
+        for (const extension of extensions) {
+            const candidate = path.join(dir, name + extension);
+            try {
+                fs.accessSync(candidate, fs.constants.X_OK);
+                if (fs.statSync(candidate).isFile()) {
+                    return candidate;
+                }
+            } catch (e) {
+                // Not here
+            }
+        }
+    }
+    return null;
+}
 
-    for (const binPath of possiblePaths) {
-        if (fs.existsSync(binPath)) {
-            console.log(`Found llama-server at: ${binPath}`);
-            return binPath;
+// A configured serverPath that does not exist is reported once, not on every lookup
+let missingConfiguredPath = null;
+
+// Work out which llama-server to run: the serverPath in config/install.json, then the active build,
+// then a binary placed in llama.cpp/build, then one on the PATH. Returns { path, source } with
+// source 'configured', 'build', 'local' or 'path', or null when there is none.
+function resolveLlamaServer() {
+    const { serverPath } = loadInstallConfig();
+    if (serverPath) {
+        const configured = path.resolve(__dirname, '..', serverPath);
+        if (fs.existsSync(configured)) {
+            return { path: configured, source: 'configured' };
+        }
+        if (missingConfiguredPath !== configured) {
+            console.warn(`The llama-server configured in config/install.json (${configured}) does not exist; looking elsewhere`);
+            missingConfiguredPath = configured;
         }
     }
 
-    // Check if in PATH
-    try {
-        exec('llama-server --help', { timeout: 5000 }, (error) => {
-            if (!error) {
-                console.log('Found llama-server in PATH');
-                return 'llama-server';
-            }
-        });
-    } catch (e) {
-        // Ignore
+    const active = getActiveBuild();
+    if (active && active.serverPath) {
+        return { path: active.serverPath, source: 'build' };
     }
 
-    return null;
+    for (const binPath of [path.join(BIN_DIR, SERVER_BINARY), path.join(BUILD_DIR, SERVER_BINARY)]) {
+        if (fs.existsSync(binPath)) {
+            return { path: binPath, source: 'local' };
+        }
+    }
+
+    const onPath = findOnPath('llama-server');
+    return onPath ? { path: onPath, source: 'path' } : null;
 }
 
-// Main installation function
-async function install() {
-    try {
-        console.log('Checking for llama-server...\n');
-        const serverPath = await ensureLlamaServer();
-        console.log('\nllama-server is ready!');
-        console.log(`Location: ${serverPath}\n`);
-        return serverPath;
-    } catch (error) {
-        console.error('Error:', error.message);
-        process.exit(1);
+// Path of the llama-server to run, or null when it is not installed
+function checkLlamaServer() {
+    const resolved = resolveLlamaServer();
+    return resolved ? resolved.path : null;
+}
+
+// Print install progress to the terminal: one line per stage, and a percentage while downloading
+function printProgress() {
+    let lastStage = null;
+    return ({ stage, message, received, total }) => {
+        if (stage !== lastStage) {
+            if (lastStage === 'downloading') process.stdout.write('\n');
+            console.log(`${message}...`);
+            lastStage = stage;
+        }
+        if (stage === 'downloading' && total) {
+            process.stdout.write(`\rProgress: ${Math.round((received / total) * 100)}%`);
+        }
+    };
+}
+
+// Main installation function, for the command line. Rejects when the install fails.
+async function install(options = {}) {
+    console.log('Checking for llama-server...\n');
+    const serverPath = await ensureLlamaServer(options, printProgress());
+    console.log('\nllama-server is ready!');
+    console.log(`Location: ${serverPath}\n`);
+    return serverPath;
+}
+
+// Print recent releases and the variants available for this platform
+async function printReleases(api) {
+    const platform = getPlatform();
+    const config = loadInstallConfig({ githubApi: api });
+    const installed = getActiveBuild();
+    const releases = await listReleases(20, config);
+
+    console.log(`Platform: ${platform}, priority: ${(config.variants[platform] || []).join(', ') || '-'}`);
+    if (installed) {
+        console.log(`Active build: ${installed.id} (installed ${installed.installedAt})`);
+    }
+    console.log('');
+    for (const release of releases) {
+        console.log(`${release.tag}  ${release.publishedAt ? release.publishedAt.slice(0, 10) : ''}`);
+        console.log(`    ${release.variants.join(', ') || '(no prebuilt binaries)'}`);
     }
 }
 
 // Export for use in other scripts
-module.exports = { install, checkLlamaServer, ensureLlamaServer };
+module.exports = {
+    LLAMA_CPP_REPO,
+    install,
+    resolveLlamaServer,
+    checkLlamaServer,
+    ensureLlamaServer,
+    downloadRelease,
+    getPlatform,
+    loadInstallConfig,
+    getRelease,
+    listReleases,
+    listBinaryVariants,
+    findBinaryAsset
+};
 
+// Build from source on the command line, printing git and CMake output as it comes
+async function installFromSource(options) {
+    const { buildFromSource } = require('./source-build');
+    const { id } = await buildFromSource(loadInstallConfig(), options, printProgress(), line => console.log(line));
+    console.log(`\nBuilt and activated build ${id}`);
+    console.log(`Location: ${checkLlamaServer()}\n`);
+}
+
+// Command line: node src/install.js [--list] [--tag <tag>] [--variant <variant>] [--api <url>] [--force]
+//                                   [--source [--ref <branch|tag|commit>] [--checkout <dir>]]
 if (require.main === module) {
-    install();
+    const argv = process.argv.slice(2);
+    const option = (name) => {
+        const index = argv.indexOf(name);
+        return index >= 0 ? argv[index + 1] : undefined;
+    };
+
+    const fail = (error) => {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    };
+
+    if (argv.includes('--source')) {
+        installFromSource({ ref: option('--ref'), checkout: option('--checkout') }).catch(fail);
+    } else if (argv.includes('--list')) {
+        printReleases(option('--api')).catch(fail);
+    } else {
+        const tag = option('--tag');
+        const variant = option('--variant');
+        // Asking for a specific release or variant means installing it over what is there
+        install({ tag, variant, api: option('--api'), force: argv.includes('--force') || Boolean(tag || variant) }).catch(fail);
+    }
 }
@@ -0,0 +1,192 @@
+const { EventEmitter } = require('events');
+const { downloadRelease, getPlatform, getRelease, listReleases, loadInstallConfig } = require('./install');
+const { getActiveBuild } = require('./builds');
+const { buildFromSource } = require('./source-build');
+const { getLlamaServerInfo } = require('./system-info');
+
+// Installing and updating llama.cpp from the web UI: one background install job at a time,
+// reporting its progress as events instead of printing to the console
+
+// Progress events are sent at most this often while downloading
+const PROGRESS_INTERVAL_MS = 500;
+
+// Output lines (git and CMake) kept for clients that connect while a source build runs
+const MAX_OUTPUT_LINES = 1000;
+
+// GitHub answers (release list, latest release) are reused for this long to stay within the API rate limit
+const RELEASES_CACHE_MS = 10 * 60 * 1000;
+
+// llama.cpp release tags: b6000
+const RELEASE_TAG_PATTERN = /^b\d+$/;
+
+// Emits 'job' (a serialized job) whenever the install job changes, and 'output' ({ id, line }) for
+// each line a source build prints
+const installEvents = new EventEmitter();
+installEvents.setMaxListeners(0);
+
+// The running install, or the last finished one
+let currentJob = null;
+let nextJobId = 1;
+
+let releasesCache = null;
+let latestCache = null;
+
+function serializeJob(job) {
+  const { id, status, source, tag, variant, stage, message, received, total, build, error, startedAt, finishedAt } = job;
+  return { id, status, source, tag, variant, stage, message, received, total, build, error, startedAt, finishedAt };
+}
+
+function notify(job) {
+  job.lastNotified = Date.now();
+  installEvents.emit('job', serializeJob(job));
+}
+
+function getInstallJob() {
+  return currentJob ? serializeJob(currentJob) : null;
+}
+
+// Output of the current or last install (source builds only)
+function getInstallOutput() {
+  return currentJob ? currentJob.output : [];
+}
+
+function isInstalling() {
+  return currentJob !== null && currentJob.status === 'running';
+}
+
+// Install a release in the background: { tag, variant }, by default the tag and variants from
+// config/install.json. With source: true, llama.cpp is built from source instead ({ ref } picks the
+// branch, tag or commit). inUse(id) names the instance running a build, which is then not replaced.
+// Returns the job, or null when an install is already running.
+function startInstallJob({ source = false, ref, tag, variant, inUse } = {}) {
+  if (isInstalling()) {
+    return null;
+  }
+
+  const job = {
+    id: String(nextJobId++),
+    status: 'running',
+    source,
+    tag: (source ? ref : tag) || null,
+    variant: source ? null : (variant || null),
+    stage: 'starting',
+    message: 'Starting install',
+    received: null,
+    total: null,
+    build: null,
+    error: null,
+    output: [],
+    lastNotified: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  currentJob = job;
+  notify(job);
+
+  const onProgress = ({ stage, message, received = null, total = null }) => {
+    const stageChanged = stage !== job.stage;
+    Object.assign(job, { stage, message, received, total });
+    if (stageChanged || Date.now() - job.lastNotified >= PROGRESS_INTERVAL_MS) {
+      notify(job);
+    }
+  };
+
+  const onOutput = (line) => {
+    job.output.push(line);
+    if (job.output.length > MAX_OUTPUT_LINES) job.output.shift();
+    installEvents.emit('output', { id: job.id, line });
+  };
+
+  const install = source
+    ? buildFromSource(loadInstallConfig(), { ref, inUse }, onProgress, onOutput)
+    : downloadRelease(getPlatform(), { tag, variant, inUse }, onProgress);
+  install
+    .then((installed) => {
+      Object.assign(job, {
+        status: 'completed',
+        stage: 'done',
+        message: `Installed build ${installed.id}`,
+        tag: installed.tag,
+        build: installed.id
+      });
+    })
+    .catch((error) => {
+      Object.assign(job, { status: 'failed', error: error.message });
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      notify(job);
+    });
+
+  return job;
+}
+
+function isFresh(cache) {
+  return cache !== null && Date.now() - cache.fetchedAt < RELEASES_CACHE_MS;
+}
+
+// Recent releases with the variants available for this platform, plus the configured priority list
+async function getReleases({ refresh = false } = {}) {
+  if (refresh || !isFresh(releasesCache)) {
+    releasesCache = { fetchedAt: Date.now(), releases: await listReleases() };
+  }
+  const platform = getPlatform();
+  const config = loadInstallConfig();
+  return {
+    platform,
+    tag: config.tag,
+    variants: config.variants[platform] || [],
+    releases: releasesCache.releases
+  };
+}
+
+// Compare the active build's release with the latest one: { installed, external, latest, updateAvailable, checkedAt }.
+// installed is null when no managed build is active; external is then the llama-server that would run instead
+// (from config/install.json, llama.cpp/build or the PATH), compared by the build number its --version reports.
+// updateAvailable is null (unknown) for a source build of a branch or commit, or a binary without a build number.
+async function checkForUpdate({ refresh = false } = {}) {
+  if (refresh || !isFresh(latestCache)) {
+    const release = await getRelease('latest');
+    latestCache = {
+      fetchedAt: Date.now(),
+      latest: { tag: release.tag_name, publishedAt: release.published_at || null, url: release.html_url || null }
+    };
+  }
+
+  const active = getActiveBuild();
+  const installed = active ? { id: active.id, tag: active.tag, variant: active.variant, source: Boolean(active.source) } : null;
+  let external = null;
+  let updateAvailable;
+  if (installed) {
+    updateAvailable = installed.source && !RELEASE_TAG_PATTERN.test(installed.tag)
+      ? null
+      : installed.tag !== latestCache.latest.tag;
+  } else {
+    const server = await getLlamaServerInfo();
+    if (!server) {
+      updateAvailable = true;
+    } else {
+      external = { path: server.path, source: server.source, build: server.build };
+      updateAvailable = server.build === null || !RELEASE_TAG_PATTERN.test(latestCache.latest.tag)
+        ? null
+        : server.build < Number(latestCache.latest.tag.slice(1));
+    }
+  }
+  return {
+    installed,
+    external,
+    latest: latestCache.latest,
+    updateAvailable,
+    checkedAt: new Date(latestCache.fetchedAt).toISOString()
+  };
+}
+
+module.exports = {
+  installEvents,
+  getInstallJob,
+  getInstallOutput,
+  isInstalling,
+  startInstallJob,
+  getReleases,
+  checkForUpdate
+};
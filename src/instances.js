@@ -0,0 +1,467 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const http = require('http');
+const readline = require('readline');
+
+// Instance used by the legacy single-server routes
+const DEFAULT_INSTANCE = 'default';
+
+// Named llama-server instances
+const instances = new Map();
+
+// Emits 'status', 'log', 'clear' and 'removed' as instances change
+const instanceEvents = new EventEmitter();
+instanceEvents.setMaxListeners(0);
+
+// Log entries carry a global, increasing id so clients can resume from a cursor.
+// Ids start over when Yapper restarts, so cursors are scoped to this boot id.
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let nextLogId = 1;
+
+// Log lines kept in memory per instance; older lines are only on disk
+const MAX_MEMORY_LOGS = 1000;
+
+// Supervisor defaults (times in seconds); restart delays double after each consecutive crash
+const DEFAULT_SUPERVISOR = {
+  startupTimeout: 300,
+  autoRestart: false,
+  maxRestarts: 5,
+  restartDelay: 1,
+  maxRestartDelay: 60
+};
+
+// How often /health is probed while an instance starts
+const HEALTH_PROBE_INTERVAL = 500;
+
+// A process that ran this long before crashing resets the consecutive crash count
+const STABLE_RUN_MS = 60 * 1000;
+
+// How long a process gets to exit after SIGTERM before it is killed, and after SIGKILL before we give up
+const STOP_TIMEOUT_MS = 10 * 1000;
+const KILL_TIMEOUT_MS = 5 * 1000;
+
+function isValidInstanceName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9_.-]{1,64}$/.test(name);
+}
+
+function getInstance(name) {
+  return instances.get(name) || null;
+}
+
+function ensureInstance(name) {
+  let instance = instances.get(name);
+  if (!instance) {
+    instance = {
+      name,
+      process: null,
+      status: 'stopped',
+      flags: {},
+      target: null,
+      runId: null,
+      logs: [],
+      startedAt: null,
+      readyAt: null,
+      supervisor: { ...DEFAULT_SUPERVISOR },
+      restarts: 0,
+      crashStreak: 0,
+      lastExitCode: null,
+      restartTimer: null,
+      processClosed: null,
+      stopRequested: false
+    };
+    instances.set(name, instance);
+  }
+  return instance;
+}
+
+function listInstances() {
+  return Array.from(instances.values());
+}
+
+function isActive(instance) {
+  return instance.status !== 'stopped';
+}
+
+// Find another active instance already bound to the same address
+function findTargetConflict(name, target) {
+  return listInstances().find(other =>
+    other.name !== name &&
+    isActive(other) &&
+    other.target &&
+    (target.socketPath
+      ? other.target.socketPath === target.socketPath
+      : other.target.host === target.host && Number(other.target.port) === Number(target.port))
+  ) || null;
+}
+
+function appendLog(instance, type, message) {
+  const entry = { id: nextLogId++, instance: instance.name, run: instance.runId, type, message, timestamp: new Date() };
+  instance.logs.push(entry);
+  if (instance.logs.length > MAX_MEMORY_LOGS) {
+    instance.logs.splice(0, instance.logs.length - MAX_MEMORY_LOGS);
+  }
+  instanceEvents.emit('log', entry);
+}
+
+function setStatus(instance, status) {
+  instance.status = status;
+  instanceEvents.emit('status', instance);
+}
+
+function getLastLogId() {
+  return nextLogId - 1;
+}
+
+function getBootId() {
+  return BOOT_ID;
+}
+
+// Log entries of all instances newer than the cursor, oldest first
+function getLogsSince(cursor) {
+  const entries = [];
+  for (const instance of instances.values()) {
+    for (const entry of instance.logs) {
+      if (entry.id > cursor) entries.push(entry);
+    }
+  }
+  return entries.sort((a, b) => a.id - b.id);
+}
+
+// Signal the process and everything it spawned.
+// On Unix the child leads its own process group; on Windows the process is terminated directly.
+function signalProcess(child, signal) {
+  try {
+    if (process.platform === 'win32') {
+      child.kill(signal);
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // Already gone
+    if (error.code !== 'ESRCH') throw error;
+  }
+}
+
+// Resolves true once the promise settles, or false after the timeout
+function waitFor(promise, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    promise.then(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+// SIGTERM the instance's process, escalating to SIGKILL if it does not exit in time.
+// Resolves with { forced } once the process is gone.
+async function terminate(instance, timeoutMs = STOP_TIMEOUT_MS) {
+  const child = instance.process;
+  const closed = instance.processClosed;
+
+  signalProcess(child, 'SIGTERM');
+  if (await waitFor(closed, timeoutMs)) {
+    return { forced: false };
+  }
+
+  appendLog(instance, 'exit', `Process did not exit within ${timeoutMs / 1000}s, sending SIGKILL`);
+  signalProcess(child, 'SIGKILL');
+  if (await waitFor(closed, KILL_TIMEOUT_MS)) {
+    return { forced: true };
+  }
+  throw new Error(`Process ${child.pid} did not exit after SIGKILL`);
+}
+
+// Ask llama-server's /health endpoint whether the model is loaded
+function probeHealth(target) {
+  return new Promise((resolve) => {
+    const req = http.get({
+      host: target.host,
+      port: target.port,
+      socketPath: target.socketPath,
+      path: '/health',
+      timeout: 2000
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode === 200);
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(false));
+  });
+}
+
+// Spawn an instance's process; resolves once /health reports it ready
+function launch(instance) {
+  const { name, supervisor } = instance;
+  instance.stopRequested = false;
+  instance.readyAt = null;
+  setStatus(instance, 'starting');
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let startupTimer = null;
+    let probeTimer = null;
+
+    const settle = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(startupTimer);
+      clearTimeout(probeTimer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(instance);
+      }
+    };
+
+    let child;
+    try {
+      child = spawn(instance.serverPath, instance.args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group on Unix so stopping also reaches anything llama-server spawned
+        detached: process.platform !== 'win32'
+      });
+    } catch (spawnError) {
+      instance.target = null;
+      setStatus(instance, 'stopped');
+      return settle(new Error(`Failed to spawn process: ${spawnError.message}`));
+    }
+    instance.process = child;
+    instance.processClosed = new Promise(resolveClosed => child.once('close', resolveClosed));
+
+    child.on('error', (err) => {
+      appendLog(instance, 'exit', `Process error: ${err.message}`);
+      // A process that never started will not emit 'close'
+      if (!child.pid) {
+        instance.process = null;
+        instance.target = null;
+        setStatus(instance, 'stopped');
+      }
+      settle(new Error(`Process error: ${err.message}`));
+    });
+
+    // Log output line by line so partial chunks never split an entry
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      const message = line.trim();
+      if (message) {
+        appendLog(instance, 'stdout', message);
+        console.log(`[llama-server:${name}]`, message);
+      }
+    });
+
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      const message = line.trim();
+      if (message) {
+        appendLog(instance, 'stderr', message);
+        console.log(`[llama-server:${name}]`, message);
+      }
+    });
+
+    // Ready once /health answers 200
+    const probe = async () => {
+      if (settled || instance.process !== child || instance.stopRequested) return;
+      if (await probeHealth(instance.target)) {
+        if (settled || instance.process !== child || instance.stopRequested) return;
+        instance.readyAt = new Date();
+        setStatus(instance, 'running');
+        settle();
+      } else {
+        probeTimer = setTimeout(probe, HEALTH_PROBE_INTERVAL);
+      }
+    };
+    probeTimer = setTimeout(probe, HEALTH_PROBE_INTERVAL);
+
+    startupTimer = setTimeout(() => {
+      const message = `llama-server did not become ready within ${supervisor.startupTimeout}s`;
+      appendLog(instance, 'exit', message);
+      instance.stopRequested = true;
+      setStatus(instance, 'stopping');
+      settle(new Error(message));
+      terminate(instance).catch(err => appendLog(instance, 'exit', err.message));
+    }, supervisor.startupTimeout * 1000);
+
+    child.on('close', (code, signal) => {
+      if (instance.process === child) {
+        instance.process = null;
+      }
+      instance.lastExitCode = code;
+      appendLog(instance, 'exit', signal ? `Process exited with signal ${signal}` : `Process exited with code ${code}`);
+
+      const wasReady = instance.readyAt !== null;
+      settle(new Error(`Server process exited with code ${code}`));
+
+      if (!instance.stopRequested && shouldRestart(instance, wasReady)) {
+        scheduleRestart(instance);
+      } else {
+        if (!instance.stopRequested && instance.supervisor.autoRestart && instance.restarts > 0) {
+          appendLog(instance, 'exit', `Giving up after ${instance.crashStreak} consecutive restart(s)`);
+        }
+        instance.target = null;
+        setStatus(instance, 'stopped');
+      }
+    });
+  });
+}
+
+// Restart crashed processes only when supervision is on, the instance ever came up, and the limit allows it
+function shouldRestart(instance, wasReady) {
+  if (!instance.supervisor.autoRestart) return false;
+  if (!wasReady && instance.restarts === 0) return false;
+
+  if (wasReady && Date.now() - instance.readyAt.getTime() >= STABLE_RUN_MS) {
+    instance.crashStreak = 0;
+  }
+  return instance.crashStreak < instance.supervisor.maxRestarts;
+}
+
+function scheduleRestart(instance) {
+  const { restartDelay, maxRestartDelay } = instance.supervisor;
+  const delay = Math.min(restartDelay * 2 ** instance.crashStreak, maxRestartDelay);
+
+  instance.crashStreak += 1;
+  instance.restarts += 1;
+  appendLog(instance, 'exit', `Restarting in ${delay}s (attempt ${instance.crashStreak} of ${instance.supervisor.maxRestarts})`);
+  setStatus(instance, 'restarting');
+
+  instance.restartTimer = setTimeout(() => {
+    instance.restartTimer = null;
+    // Failures are handled by the 'close' handler, which may schedule another restart
+    launch(instance).catch(() => {});
+  }, delay * 1000);
+}
+
+// Start an instance under supervision; resolves once it is ready
+function startInstance(name, { serverPath, build = null, args, flags, target, runId, supervisor }) {
+  const instance = ensureInstance(name);
+
+  Object.assign(instance, {
+    serverPath,
+    build,
+    args,
+    flags,
+    target,
+    runId,
+    supervisor: { ...DEFAULT_SUPERVISOR, ...supervisor },
+    startedAt: new Date(),
+    restarts: 0,
+    crashStreak: 0,
+    lastExitCode: null
+  });
+
+  return launch(instance);
+}
+
+// Stop an instance and wait until its process is gone; resolves with { forced }
+async function stopInstance(name, { timeout = STOP_TIMEOUT_MS } = {}) {
+  const instance = getInstance(name);
+  if (!instance || !isActive(instance)) {
+    throw new Error(`Instance '${name}' is not running`);
+  }
+
+  instance.stopRequested = true;
+
+  // Waiting to restart: cancelling the restart is all there is to do
+  if (instance.restartTimer) {
+    clearTimeout(instance.restartTimer);
+    instance.restartTimer = null;
+    instance.target = null;
+    setStatus(instance, 'stopped');
+    return { forced: false };
+  }
+
+  if (!instance.process) {
+    return { forced: false };
+  }
+
+  // Already being stopped (e.g. after a startup timeout): just wait for it
+  if (instance.status === 'stopping') {
+    await waitFor(instance.processClosed, timeout + KILL_TIMEOUT_MS);
+    return { forced: false };
+  }
+
+  setStatus(instance, 'stopping');
+  return terminate(instance, timeout);
+}
+
+// Stop every active instance, e.g. when Yapper shuts down
+function stopAllInstances() {
+  return Promise.allSettled(
+    listInstances().filter(isActive).map(instance => stopInstance(instance.name))
+  );
+}
+
+// Last resort on exit: SIGKILL whatever is still running
+function killAllInstances() {
+  for (const instance of instances.values()) {
+    if (instance.process) {
+      signalProcess(instance.process, 'SIGKILL');
+    }
+  }
+}
+
+// Forget a stopped instance
+function removeInstance(name) {
+  const instance = getInstance(name);
+  if (instance && isActive(instance)) {
+    throw new Error(`Instance '${name}' is still running`);
+  }
+  const removed = instances.delete(name);
+  if (removed) {
+    instanceEvents.emit('removed', name);
+  }
+  return removed;
+}
+
+function clearInstanceLogs(name) {
+  const instance = getInstance(name);
+  if (instance) {
+    instance.logs = [];
+    instanceEvents.emit('clear', name);
+  }
+}
+
+// Plain object view of an instance for API responses
+function serializeInstance(instance, { logLimit = 0 } = {}) {
+  const result = {
+    name: instance.name,
+    status: instance.status,
+    pid: instance.process ? instance.process.pid : null,
+    target: instance.target,
+    runId: instance.runId,
+    model: instance.flags.model || null,
+    build: instance.build || null,
+    flags: instance.flags,
+    startedAt: instance.startedAt,
+    readyAt: instance.readyAt,
+    supervisor: instance.supervisor,
+    restarts: instance.restarts,
+    lastExitCode: instance.lastExitCode
+  };
+  if (logLimit > 0) {
+    result.logs = instance.logs.slice(-logLimit);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_INSTANCE,
+  DEFAULT_SUPERVISOR,
+  instanceEvents,
+  isValidInstanceName,
+  getInstance,
+  ensureInstance,
+  listInstances,
+  isActive,
+  findTargetConflict,
+  startInstance,
+  stopInstance,
+  stopAllInstances,
+  killAllInstances,
+  removeInstance,
+  clearInstanceLogs,
+  getLastLogId,
+  getBootId,
+  getLogsSince,
+  serializeInstance
+};
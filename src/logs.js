@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+
+// Persisted run logs
+const LOGS_DIR = path.join(__dirname, '../logs');
+
+// A run's log starts a new segment file once the current one reaches this size
+const MAX_SEGMENT_SIZE = 10 * 1024 * 1024;
+
+// Oldest runs are deleted once all logs together exceed this size or age
+const MAX_TOTAL_SIZE = 200 * 1024 * 1024;
+const MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Segment files are named <runId>.<segment>.jsonl
+const SEGMENT_PATTERN = /^(.+)\.(\d+)\.jsonl$/;
+
+// Open writers keyed by run id
+const writers = new Map();
+
+function ensureLogsDir() {
+  if (!fs.existsSync(LOGS_DIR)) {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+  }
+}
+
+function segmentPath(runId, segment) {
+  return path.join(LOGS_DIR, `${runId}.${segment}.jsonl`);
+}
+
+function isValidRunId(runId) {
+  return typeof runId === 'string' && /^[A-Za-z0-9_.-]+$/.test(runId);
+}
+
+// Unique id for a new run of an instance
+function createRunId(instanceName, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+  return `${instanceName}_${stamp}`;
+}
+
+function openSegment(writer) {
+  writer.stream = fs.createWriteStream(segmentPath(writer.runId, writer.segment), { flags: 'a' });
+  writer.stream.on('error', (err) => console.error(`Failed to write log for run ${writer.runId}:`, err.message));
+  writer.bytes = 0;
+}
+
+function writeLine(writer, record) {
+  const line = JSON.stringify(record) + '\n';
+  const size = Buffer.byteLength(line);
+  if (writer.bytes > 0 && writer.bytes + size > MAX_SEGMENT_SIZE) {
+    writer.stream.end();
+    writer.segment += 1;
+    openSegment(writer);
+  }
+  writer.stream.write(line);
+  writer.bytes += size;
+}
+
+// Start persisting a run; the first line of its first segment describes the run
+function openRun(runId, { instance, flags, startedAt }) {
+  ensureLogsDir();
+  pruneLogs();
+
+  const writer = { runId, segment: 0, stream: null, bytes: 0 };
+  openSegment(writer);
+  writeLine(writer, { run: { id: runId, instance, flags, startedAt } });
+  writers.set(runId, writer);
+}
+
+function writeEntry(entry) {
+  const writer = writers.get(entry.run);
+  if (writer) {
+    writeLine(writer, { id: entry.id, type: entry.type, message: entry.message, timestamp: entry.timestamp });
+  }
+}
+
+function closeRun(runId) {
+  const writer = writers.get(runId);
+  if (writer) {
+    writer.stream.end();
+    writers.delete(runId);
+  }
+}
+
+// Persist runs as instances start, log and stop
+function attachLogPersistence(instanceEvents) {
+  instanceEvents.on('status', (instance) => {
+    if (instance.status === 'starting' && instance.runId && !writers.has(instance.runId)) {
+      openRun(instance.runId, {
+        instance: instance.name,
+        flags: instance.flags,
+        startedAt: instance.startedAt
+      });
+    } else if (instance.status === 'stopped' && instance.runId) {
+      closeRun(instance.runId);
+    }
+  });
+  instanceEvents.on('log', writeEntry);
+}
+
+function readRunHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString('utf-8', 0, bytesRead).split('\n')[0];
+    return JSON.parse(firstLine).run || null;
+  } catch (e) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// All persisted runs, newest first
+function listRuns() {
+  if (!fs.existsSync(LOGS_DIR)) {
+    return [];
+  }
+
+  const runs = new Map();
+  for (const filename of fs.readdirSync(LOGS_DIR)) {
+    const match = SEGMENT_PATTERN.exec(filename);
+    if (!match) continue;
+
+    const [, runId, segment] = match;
+    const filePath = path.join(LOGS_DIR, filename);
+    const stats = fs.statSync(filePath);
+
+    let run = runs.get(runId);
+    if (!run) {
+      run = { id: runId, instance: null, startedAt: null, updatedAt: stats.mtime, size: 0, segments: [], active: writers.has(runId) };
+      runs.set(runId, run);
+    }
+    run.size += stats.size;
+    run.segments.push(Number(segment));
+    if (stats.mtime > run.updatedAt) run.updatedAt = stats.mtime;
+
+    if (Number(segment) === 0) {
+      const header = readRunHeader(filePath);
+      if (header) {
+        run.instance = header.instance;
+        run.startedAt = header.startedAt;
+      }
+    }
+  }
+
+  return Array.from(runs.values())
+    .map(run => ({ ...run, segments: run.segments.sort((a, b) => a - b), startedAt: run.startedAt || run.updatedAt }))
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+function getRun(runId) {
+  return listRuns().find(run => run.id === runId) || null;
+}
+
+// Delete the oldest inactive runs that exceed the age or total size limits
+function pruneLogs() {
+  const runs = listRuns();
+  const now = Date.now();
+  let totalSize = runs.reduce((sum, run) => sum + run.size, 0);
+
+  // Oldest first
+  for (const run of runs.slice().reverse()) {
+    if (run.active) continue;
+
+    const tooOld = now - new Date(run.updatedAt).getTime() > MAX_AGE_MS;
+    if (!tooOld && totalSize <= MAX_TOTAL_SIZE) continue;
+
+    for (const segment of run.segments) {
+      fs.rmSync(segmentPath(run.id, segment), { force: true });
+    }
+    totalSize -= run.size;
+  }
+}
+
+// Each entry of a run in order, one per log line. Stopping early closes the segment being read.
+async function* readRunEntries(run) {
+  for (const segment of run.segments) {
+    const input = fs.createReadStream(segmentPath(run.id, segment));
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          continue;
+        }
+        if (record.run) continue;
+        yield { ...record, run: run.id, instance: run.instance };
+      }
+    } finally {
+      input.destroy();
+    }
+  }
+}
+
+// Search persisted logs. Filters: instance, run, streams (array), since, until (Dates), pattern (RegExp), limit.
+// Returns the newest `limit` matches in chronological order. Segments are searched newest first, so with maxLines
+// or timeLimitMs the search can stop once it has read that many lines or taken that long; incomplete is then set.
+async function queryLogs({ instance, run, streams, since, until, pattern, limit = 1000, maxLines = Infinity, timeLimitMs = Infinity }) {
+  const segments = listRuns()
+    .filter(r => !instance || r.instance === instance)
+    .filter(r => !run || r.id === run)
+    .filter(r => !until || new Date(r.startedAt) <= until)
+    .filter(r => !since || new Date(r.updatedAt) >= since)
+    .flatMap(r => r.segments.slice().reverse().map(segment => ({ ...r, segments: [segment] })));
+
+  const deadline = Date.now() + timeLimitMs;
+  let matches = [];
+  let truncated = false;
+  let incomplete = false;
+  let scanned = 0;
+
+  for (const segment of segments) {
+    const segmentMatches = [];
+    for await (const entry of readRunEntries(segment)) {
+      if (++scanned > maxLines || Date.now() > deadline) {
+        incomplete = true;
+        break;
+      }
+      if (streams && !streams.includes(entry.type)) continue;
+      const time = new Date(entry.timestamp);
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+      if (pattern && !pattern.test(entry.message)) continue;
+
+      segmentMatches.push(entry);
+      if (segmentMatches.length > limit) {
+        segmentMatches.shift();
+        truncated = true;
+      }
+    }
+
+    matches = segmentMatches.concat(matches);
+    if (matches.length > limit) {
+      // Older segments cannot add newer matches
+      matches = matches.slice(-limit);
+      truncated = true;
+      break;
+    }
+    if (incomplete) break;
+  }
+
+  return { entries: matches, truncated, incomplete };
+}
+
+async function* formatRunLog(run) {
+  for await (const entry of readRunEntries(run)) {
+    yield `[${new Date(entry.timestamp).toISOString()}] [${entry.type}] ${entry.message}\n`;
+  }
+}
+
+// Write a run's log to the response as plain text. pipeline waits for the client to read and
+// stops reading the log when the client disconnects; resolves once the response has ended.
+function sendRunDownload(run, res) {
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${run.id}.log"`);
+
+  return new Promise((resolve, reject) => {
+    pipeline(Readable.from(formatRunLog(run)), res, error => (error ? reject(error) : resolve()));
+  });
+}
+
+module.exports = {
+  LOGS_DIR,
+  isValidRunId,
+  createRunId,
+  attachLogPersistence,
+  listRuns,
+  getRun,
+  pruneLogs,
+  queryLogs,
+  sendRunDownload
+};
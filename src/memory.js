@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+
+// Rough memory estimate for running a model with a given set of flags.
+// It follows how llama.cpp allocates (weights, KV cache, compute buffers), but is an estimate:
+// backends add their own overhead, and models with sliding-window or recurrent layers need less KV cache.
+
+// Bytes per element of KV cache types (quantized types store 32-element blocks)
+const CACHE_TYPE_SIZES = {
+  f32: 4,
+  f16: 2,
+  bf16: 2,
+  q8_0: 34 / 32,
+  q4_0: 18 / 32,
+  q4_1: 20 / 32,
+  iq4_nl: 18 / 32,
+  q5_0: 22 / 32,
+  q5_1: 24 / 32
+};
+
+// Each sequence's KV cache is padded to a multiple of this many cells when not unified
+const KV_PADDING = 256;
+
+// Backends that run on the CPU; a build with only these cannot offload layers
+const CPU_BACKENDS = ['CPU', 'BLAS', 'RPC'];
+
+// Per-layer values may be arrays (hybrid models); use their average
+function perLayer(value, fallback) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.reduce((sum, v) => sum + v, 0) / value.length : fallback;
+  }
+  return value || fallback;
+}
+
+function flagValue(flags, flagDefinitions, name) {
+  const value = flags[name];
+  return value === undefined || value === null || value === '' ? flagDefinitions[name].default : value;
+}
+
+// Estimate memory use in bytes. metadata is a GGUF summary (see gguf.js), modelSize the model's file size,
+// backends those of the llama-server build (see system-info.js), or null when unknown.
+// Returns { context, offloadedLayers, weights, kvCache, compute, total }, each split into { ram, gpu }.
+function estimateMemory(metadata, modelSize, flags, flagDefinitions, backends = null) {
+  const layers = metadata.blockCount || 1;
+  const headCount = perLayer(metadata.headCount, 1);
+  const headCountKv = perLayer(metadata.headCountKv, headCount);
+  const embedding = metadata.embeddingLength || 0;
+  const keyLength = metadata.keyLength || (embedding / headCount);
+  const valueLength = metadata.valueLength || (embedding / headCount);
+
+  // Context: 0 means the model's training context
+  const requestedCtx = Number(flagValue(flags, flagDefinitions, 'ctx-size')) || metadata.contextLength || 4096;
+  const parallel = Math.max(1, Number(flagValue(flags, flagDefinitions, 'parallel')) || 1);
+  const unified = flagValue(flags, flagDefinitions, 'kv-unified') === true;
+  const context = unified
+    ? Math.ceil(requestedCtx / KV_PADDING) * KV_PADDING
+    : Math.ceil(requestedCtx / parallel / KV_PADDING) * KV_PADDING * parallel;
+
+  // Layers on the GPU: -1 (or more than the model has) offloads everything, including the output layer.
+  // A build without a GPU backend keeps everything in RAM, whatever gpu-layers says.
+  const gpuLayers = Number(flagValue(flags, flagDefinitions, 'gpu-layers'));
+  const canOffload = !backends || backends.some(backend => !CPU_BACKENDS.includes(backend));
+  let offloadedLayers = 0;
+  if (canOffload) {
+    offloadedLayers = gpuLayers < 0 ? layers + 1 : Math.min(gpuLayers || 0, layers + 1);
+  }
+  const repeatingOffloaded = Math.min(offloadedLayers, layers);
+
+  // Weights: the repeating layers hold nearly all of the file
+  const weightsGpu = modelSize * offloadedLayers / (layers + 1);
+  const weights = { ram: modelSize - weightsGpu, gpu: weightsGpu };
+
+  // KV cache: per layer, context x (K + V) per KV head
+  const keyBytes = CACHE_TYPE_SIZES[flagValue(flags, flagDefinitions, 'cache-type-k')] || 2;
+  const valueBytes = CACHE_TYPE_SIZES[flagValue(flags, flagDefinitions, 'cache-type-v')] || 2;
+  const kvPerLayer = context * headCountKv * (keyLength * keyBytes + valueLength * valueBytes);
+  const kvOffload = !flags['no-kv-offload'];
+  const kvGpu = kvOffload ? kvPerLayer * repeatingOffloaded : 0;
+  const kvCache = { ram: kvPerLayer * layers - kvGpu, gpu: kvGpu };
+
+  // Compute buffer: activations for one micro-batch, the output logits and, without flash attention,
+  // the attention scores over a sequence's context
+  const ubatch = Number(flagValue(flags, flagDefinitions, 'ubatch-size')) || 512;
+  const flashAttn = flagValue(flags, flagDefinitions, 'flash-attn') !== 'off';
+  const sequenceCtx = unified ? context : context / parallel;
+  const computeBytes = ubatch * embedding * 4 * 8
+    + ubatch * (metadata.vocabSize || 0) * 4
+    + (flashAttn ? 0 : ubatch * sequenceCtx * headCount * 4);
+  const compute = offloadedLayers > 0
+    ? { ram: ubatch * embedding * 4, gpu: computeBytes }
+    : { ram: computeBytes, gpu: 0 };
+
+  const total = {
+    ram: weights.ram + kvCache.ram + compute.ram,
+    gpu: weights.gpu + kvCache.gpu + compute.gpu
+  };
+
+  return { context, offloadedLayers, weights, kvCache, compute, total };
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// System memory to compare an estimate against. On Linux, free memory counts the page cache
+// the kernel would give up (MemAvailable), as os.freemem() leaves it out.
+function getSystemMemory() {
+  let free = os.freemem();
+  if (os.platform() === 'linux') {
+    try {
+      const available = /^MemAvailable:\s+(\d+) kB/m.exec(fs.readFileSync('/proc/meminfo', 'utf-8'));
+      if (available) free = Number(available[1]) * 1024;
+    } catch (e) {
+      // No /proc; keep os.freemem()
+    }
+  }
+  return { free, total: os.totalmem() };
+}
+
+module.exports = { CACHE_TYPE_SIZES, estimateMemory, formatBytes, getSystemMemory };
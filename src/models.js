@@ -0,0 +1,357 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { readModelMetadata } = require('./gguf');
+const { settingPath } = require('./settings');
+
+// The model library: GGUF files in models/ (or the configured models folder) and its subdirectories
+const MODELS_DIR = settingPath('modelsDir');
+
+// Shards of a split model are named <name>-00001-of-00003.gguf; llama-server loads them from the first one
+const SPLIT_PATTERN = /^(.*)-(\d{5})-of-(\d{5})\.gguf$/i;
+
+// A draft model has to be much smaller than the model it drafts for to speed it up
+const MAX_DRAFT_RATIO = 0.25;
+
+// Watching: file system events are batched for this long, and a file being copied in is only
+// announced once its size and mtime stayed the same for one check interval
+const WATCH_DEBOUNCE_MS = 500;
+const STABLE_CHECK_MS = 2000;
+
+// Rescan this often as well, for file systems where change notifications are unreliable (e.g. network shares)
+const WATCH_POLL_MS = 30 * 1000;
+
+// Emits 'change' ({ type: 'added' | 'removed' | 'changed', file }) as library files come and go
+const modelEvents = new EventEmitter();
+modelEvents.setMaxListeners(0);
+
+function ensureModelsDir() {
+  if (!fs.existsSync(MODELS_DIR)) {
+    fs.mkdirSync(MODELS_DIR, { recursive: true });
+  }
+}
+
+// Relative paths (with forward slashes) of every .gguf file in the library; hidden files and folders are skipped
+function findGgufFiles(dir = MODELS_DIR, prefix = '') {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...findGgufFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.gguf')) {
+      files.push(relative);
+    }
+  }
+  return files.sort((a, b) => a.localeCompare(b));
+}
+
+// Absolute path of a library name such as "qwen/model.gguf", or null when it is not a .gguf path inside models/
+function resolveModelName(name) {
+  if (typeof name !== 'string' || !name.toLowerCase().endsWith('.gguf') || path.isAbsolute(name)) {
+    return null;
+  }
+  const parts = name.split(/[\\/]/);
+  if (parts.some(part => part === '' || part === '.' || part === '..' || part.startsWith('.'))) {
+    return null;
+  }
+  return path.join(MODELS_DIR, ...parts);
+}
+
+// Path of a library file as given to llama-server: relative to the working directory when the
+// library is inside it (models/qwen/model.gguf), else absolute
+function modelLibraryPath(name) {
+  const filePath = resolveModelName(name);
+  const relative = path.relative(process.cwd(), filePath);
+  return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
+
+// Shard file names of a split model, first shard first
+function shardNames(base, count) {
+  return Array.from({ length: count }, (_, i) =>
+    `${base}-${String(i + 1).padStart(5, '0')}-of-${String(count).padStart(5, '0')}.gguf`);
+}
+
+// Files making up the model at filePath: all existing shards for a split model, else the file itself
+function modelFiles(filePath) {
+  const split = SPLIT_PATTERN.exec(path.basename(filePath));
+  if (!split) {
+    return [filePath];
+  }
+  const dir = path.dirname(filePath);
+  return shardNames(split[1], Number(split[3]))
+    .map(name => path.join(dir, name))
+    .filter(shard => fs.existsSync(shard));
+}
+
+// Total size in bytes of a model, counting every shard of a split model
+function modelFileSize(filePath) {
+  return modelFiles(filePath).reduce((sum, file) => sum + fs.statSync(file).size, 0);
+}
+
+// GGUF summary of a model. Only the first shard of a split model holds the metadata,
+// but every shard adds its tensors to the parameter count.
+function readModelInfo(filePath) {
+  const metadata = readModelMetadata(filePath);
+  const others = modelFiles(filePath).filter(file => file !== filePath);
+  if (others.length === 0) {
+    return metadata;
+  }
+
+  const combined = { ...metadata };
+  for (const shard of others) {
+    const { parameterCount, tensorCount } = readModelMetadata(shard);
+    combined.parameterCount += parameterCount;
+    combined.tensorCount += tensorCount;
+  }
+  return combined;
+}
+
+// Key facts for the model list; null when the header cannot be read
+function readModelSummary(filePath) {
+  try {
+    const { architecture, parameterCount, sizeLabel, quantization, contextLength, blockCount, tokenizer, vocabSize } = readModelInfo(filePath);
+    return { architecture, parameterCount, sizeLabel, quantization, contextLength, blockCount, tokenizer, vocabSize };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Multimodal projectors are named mmproj-* by convention and use the "clip" architecture
+function isProjector(name, metadata) {
+  return /mmproj/i.test(path.posix.basename(name)) || (metadata !== null && metadata.architecture === 'clip');
+}
+
+// Group the library's files into models: split shards become one entry named after the first shard
+function groupModelFiles(files) {
+  const groups = new Map();
+  for (const file of files) {
+    const split = SPLIT_PATTERN.exec(file);
+    const key = split ? `${split[1]}-of-${split[3]}`.toLowerCase() : file;
+    if (!groups.has(key)) {
+      groups.set(key, { split, files: [] });
+    }
+    groups.get(key).files.push(file);
+  }
+
+  return Array.from(groups.values()).map(({ split, files: groupFiles }) => {
+    if (!split) {
+      return { name: groupFiles[0], files: groupFiles, split: null };
+    }
+    const expected = shardNames(split[1], Number(split[3]));
+    const present = expected.filter(name => groupFiles.includes(name));
+    return {
+      name: expected[0],
+      files: present,
+      split: { count: expected.length, missing: expected.filter(name => !present.includes(name)) }
+    };
+  });
+}
+
+function sharedPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i].toLowerCase() === b[i].toLowerCase()) i++;
+  return i;
+}
+
+// Likely companions of a model: projectors in the same folder (closest name first) and smaller
+// models sharing its vocabulary that can serve as a speculative decoding draft (same folder first, smallest first)
+function findCompanions(model, entries) {
+  const dir = path.posix.dirname(model.name);
+  const base = path.posix.basename(model.name);
+
+  const mmproj = entries
+    .filter(entry => entry.kind === 'mmproj' && path.posix.dirname(entry.name) === dir)
+    .sort((a, b) => sharedPrefixLength(base, path.posix.basename(b.name)) - sharedPrefixLength(base, path.posix.basename(a.name)))
+    .map(entry => entry.path);
+
+  const draft = entries
+    .filter(entry => entry !== model && entry.kind === 'model' && entry.complete &&
+      entry.size <= model.size * MAX_DRAFT_RATIO &&
+      model.metadata && model.metadata.vocabSize && entry.metadata &&
+      entry.metadata.tokenizer === model.metadata.tokenizer &&
+      entry.metadata.vocabSize === model.metadata.vocabSize)
+    .sort((a, b) => {
+      const sameDir = (path.posix.dirname(b.name) === dir) - (path.posix.dirname(a.name) === dir);
+      return sameDir || a.size - b.size;
+    })
+    .map(entry => entry.path);
+
+  return { mmproj, draft };
+}
+
+// Scan the library. Each entry: { name, path, size, kind ('model' or 'mmproj'), files, split, complete,
+// metadata, companions }; split is { count, missing } for split models, and companions lists
+// likely mmproj and draft model paths for models.
+function scanModels() {
+  const entries = groupModelFiles(findGgufFiles()).map(({ name, files, split }) => {
+    const filePath = resolveModelName(name);
+    const complete = !split || split.missing.length === 0;
+    const metadata = fs.existsSync(filePath) ? readModelSummary(filePath) : null;
+    return {
+      name,
+      path: modelLibraryPath(name),
+      size: files.reduce((sum, file) => sum + fs.statSync(resolveModelName(file)).size, 0),
+      kind: isProjector(name, metadata) ? 'mmproj' : 'model',
+      files,
+      split,
+      complete,
+      metadata
+    };
+  });
+
+  for (const entry of entries) {
+    entry.companions = entry.kind === 'model' ? findCompanions(entry, entries) : { mmproj: [], draft: [] };
+  }
+  return entries;
+}
+
+function findModel(name) {
+  return scanModels().find(model => model.name === name) || null;
+}
+
+// Remove folders emptied by a rename or delete, up to models/
+function pruneEmptyDirs(dir) {
+  while (dir !== MODELS_DIR && dir.startsWith(MODELS_DIR) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+// Work out the new file names for renaming a model; returns [[from, to], ...] of library names, or null
+// when newName is not a valid name. A split model keeps its shard numbering: "a/b.gguf" renames
+// its shards to a/b-00001-of-0000N.gguf, ...
+function renameTargets(model, newName) {
+  if (!resolveModelName(newName)) {
+    return null;
+  }
+  if (!model.split) {
+    return [[model.name, newName]];
+  }
+
+  const newSplit = SPLIT_PATTERN.exec(newName);
+  const base = newSplit ? newSplit[1] : newName.replace(/\.gguf$/i, '');
+  const names = shardNames(base, model.split.count);
+  const oldNames = shardNames(model.name.replace(SPLIT_PATTERN, '$1'), model.split.count);
+  return model.files.map(file => [file, names[oldNames.indexOf(file)]]);
+}
+
+function renameModel(targets) {
+  for (const [from, to] of targets) {
+    const toPath = resolveModelName(to);
+    fs.mkdirSync(path.dirname(toPath), { recursive: true });
+    fs.renameSync(resolveModelName(from), toPath);
+  }
+  for (const [from] of targets) {
+    pruneEmptyDirs(path.dirname(resolveModelName(from)));
+  }
+}
+
+function deleteModel(model) {
+  for (const file of model.files) {
+    fs.unlinkSync(resolveModelName(file));
+  }
+  pruneEmptyDirs(path.dirname(resolveModelName(model.name)));
+}
+
+// Files announced to clients, and files seen changing that are not announced yet (file -> { size, mtimeMs })
+const knownFiles = new Map();
+const pendingFiles = new Map();
+let checkTimer = null;
+
+function statFiles() {
+  const files = new Map();
+  for (const file of findGgufFiles()) {
+    try {
+      const { size, mtimeMs } = fs.statSync(resolveModelName(file));
+      files.set(file, { size, mtimeMs });
+    } catch (e) {
+      // Removed while scanning
+    }
+  }
+  return files;
+}
+
+function sameStats(a, b) {
+  return a.size === b.size && a.mtimeMs === b.mtimeMs;
+}
+
+function scheduleCheck(delay) {
+  clearTimeout(checkTimer);
+  checkTimer = setTimeout(checkModelFiles, delay);
+}
+
+// Compare the library with what was announced. A new or changed file is announced
+// once it looks the same on two consecutive checks, so partial copies are not reported.
+function checkModelFiles() {
+  const current = statFiles();
+
+  for (const [file, stats] of current) {
+    const known = knownFiles.get(file);
+    if (known && sameStats(known, stats)) {
+      pendingFiles.delete(file);
+      continue;
+    }
+    const pending = pendingFiles.get(file);
+    if (pending && sameStats(pending, stats)) {
+      pendingFiles.delete(file);
+      knownFiles.set(file, stats);
+      modelEvents.emit('change', { type: known ? 'changed' : 'added', file });
+    } else {
+      pendingFiles.set(file, stats);
+    }
+  }
+
+  for (const file of knownFiles.keys()) {
+    if (!current.has(file)) {
+      knownFiles.delete(file);
+      modelEvents.emit('change', { type: 'removed', file });
+    }
+  }
+  for (const file of pendingFiles.keys()) {
+    if (!current.has(file)) pendingFiles.delete(file);
+  }
+
+  if (pendingFiles.size > 0) {
+    scheduleCheck(STABLE_CHECK_MS);
+  }
+}
+
+// Watch models/ (recursively) for files being added, removed or replaced
+function watchModels() {
+  ensureModelsDir();
+  for (const [file, stats] of statFiles()) {
+    knownFiles.set(file, stats);
+  }
+
+  try {
+    const watcher = fs.watch(MODELS_DIR, { recursive: true }, () => scheduleCheck(WATCH_DEBOUNCE_MS));
+    watcher.on('error', (error) => console.error('Model directory watcher failed:', error.message));
+  } catch (error) {
+    console.error(`Could not watch ${MODELS_DIR} (${error.message}); checking every ${WATCH_POLL_MS / 1000}s instead`);
+  }
+  setInterval(() => {
+    if (pendingFiles.size === 0) checkModelFiles();
+  }, WATCH_POLL_MS).unref();
+}
+
+module.exports = {
+  MODELS_DIR,
+  modelEvents,
+  ensureModelsDir,
+  resolveModelName,
+  modelLibraryPath,
+  modelFiles,
+  modelFileSize,
+  readModelInfo,
+  scanModels,
+  findModel,
+  renameTargets,
+  renameModel,
+  deleteModel,
+  watchModels
+};
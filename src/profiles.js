@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+// Named configuration profiles, one JSON file each
+const PROFILES_DIR = path.join(__dirname, '../profiles');
+
+function isValidProfileName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9_.-]{1,64}$/.test(name) && !name.startsWith('.');
+}
+
+function profilePath(name) {
+  return path.join(PROFILES_DIR, `${name}.json`);
+}
+
+function ensureProfilesDir() {
+  if (!fs.existsSync(PROFILES_DIR)) {
+    fs.mkdirSync(PROFILES_DIR, { recursive: true });
+  }
+}
+
+// Write via a temp file so a crash never leaves a half-written profile
+function writeProfile(profile) {
+  ensureProfilesDir();
+  const filePath = profilePath(profile.name);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(profile, null, 2));
+  fs.renameSync(tempPath, filePath);
+  return profile;
+}
+
+function getProfile(name) {
+  if (!isValidProfileName(name) || !fs.existsSync(profilePath(name))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(profilePath(name), 'utf-8'));
+}
+
+// Profile summaries, sorted by name
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => {
+      try {
+        const { name, description, flags, build, createdAt, updatedAt } = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, f), 'utf-8'));
+        return { name, description, model: flags.model || null, build: build || null, createdAt, updatedAt };
+      } catch (e) {
+        console.error(`Skipping unreadable profile ${f}:`, e.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Check the editable fields of a profile; returns an error message or null
+function validateProfileData({ flags, supervisor, description, build }) {
+  if (flags === undefined || typeof flags !== 'object' || flags === null || Array.isArray(flags)) {
+    return 'flags must be an object';
+  }
+  if (supervisor !== undefined && (typeof supervisor !== 'object' || supervisor === null || Array.isArray(supervisor))) {
+    return 'supervisor must be an object';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (build !== undefined && build !== null && typeof build !== 'string') {
+    return 'build must be a build id or null';
+  }
+  return null;
+}
+
+// build pins the llama.cpp build the profile runs with (null: the active build)
+function createProfile(name, { flags, supervisor, description, build }) {
+  const now = new Date().toISOString();
+  return writeProfile({
+    name,
+    description: description || '',
+    flags,
+    supervisor: supervisor || {},
+    build: build || null,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+function updateProfile(name, { flags, supervisor, description, build }) {
+  const existing = getProfile(name);
+  return writeProfile({
+    ...existing,
+    description: description !== undefined ? description : existing.description,
+    flags,
+    supervisor: supervisor !== undefined ? supervisor : existing.supervisor,
+    build: build !== undefined ? (build || null) : (existing.build || null),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+function deleteProfile(name) {
+  fs.rmSync(profilePath(name), { force: true });
+}
+
+function duplicateProfile(name, newName) {
+  const { flags, supervisor, description, build } = getProfile(name);
+  return createProfile(newName, { flags, supervisor, description, build });
+}
+
+module.exports = {
+  PROFILES_DIR,
+  isValidProfileName,
+  getProfile,
+  listProfiles,
+  validateProfileData,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  duplicateProfile
+};
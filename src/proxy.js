@@ -0,0 +1,111 @@
+const http = require('http');
+const { hasBearerToken } = require('./auth');
+
+// llama-server routes forwarded through Yapper
+const PROXY_ROUTES = [
+  '/v1',
+  '/health',
+  '/slots',
+  '/metrics',
+  '/props',
+  '/completion',
+  '/completions',
+  '/chat/completions',
+  '/embedding',
+  '/embeddings',
+  '/rerank',
+  '/reranking',
+  '/infill',
+  '/tokenize',
+  '/detokenize',
+  '/apply-template',
+  '/lora-adapters'
+];
+
+// Connection-level headers that must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Yapper's own credentials, which llama-server has no use for and must not see
+const YAPPER_CREDENTIAL_HEADERS = [
+  'cookie',
+  'x-yapper-token',
+  'x-csrf-token'
+];
+
+function stripHopByHopHeaders(headers) {
+  const result = {};
+  for (const [key, value] of Object.entries(headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(key.toLowerCase())) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// Build middleware that forwards requests to a running llama-server.
+// getTarget(req) returns { host, port } (or { socketPath }) or null when nothing is running.
+// With stripMountPath the path is forwarded relative to where the proxy is mounted.
+function createProxy(getTarget, { stripMountPath = false } = {}) {
+  return (req, res) => {
+    const target = getTarget(req);
+    if (!target) {
+      return res.status(503).json({ error: 'llama-server is not running' });
+    }
+
+    const headers = stripHopByHopHeaders(req.headers);
+    for (const key of Object.keys(headers)) {
+      const name = key.toLowerCase();
+      if (YAPPER_CREDENTIAL_HEADERS.includes(name) || (name === 'authorization' && hasBearerToken(req))) {
+        delete headers[key];
+      }
+    }
+    if (!target.socketPath) {
+      headers.host = `${target.host}:${target.port}`;
+    }
+
+    const proxyReq = http.request({
+      host: target.host,
+      port: target.port,
+      socketPath: target.socketPath,
+      method: req.method,
+      path: stripMountPath ? req.url : req.originalUrl,
+      headers
+    }, (proxyRes) => {
+      res.writeHead(proxyRes.statusCode, stripHopByHopHeaders(proxyRes.headers));
+      // Send headers right away so SSE clients see the stream open
+      res.flushHeaders();
+      if (res.socket) res.socket.setNoDelay(true);
+
+      proxyRes.pipe(res);
+      proxyRes.on('aborted', () => res.destroy());
+    });
+
+    proxyReq.on('error', (err) => {
+      if (!res.headersSent) {
+        res.status(502).json({ error: `Failed to reach llama-server: ${err.message}` });
+      } else {
+        res.destroy();
+      }
+    });
+
+    // Stop generation upstream when the client goes away mid-stream
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        proxyReq.destroy();
+      }
+    });
+
+    req.pipe(proxyReq);
+  };
+}
+
+module.exports = { createProxy, PROXY_ROUTES };
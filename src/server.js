@@ -1,57 +1,184 @@
 const express = require('express');
-const { spawn } = require('child_process');
+const net = require('net');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
-const { install, checkLlamaServer } = require('./install');
+const { checkLlamaServer } = require('./install');
+const { createProxy, PROXY_ROUTES } = require('./proxy');
+const { handleEventStream } = require('./events');
+const { EXPORT_FORMATS, parseCommandLine, buildArgv, formatCommandLine, exportLaunchScript } = require('./cmdline');
+const { validateFlags, validateFilePaths } = require('./validation');
+const { generateFlagSchema, diffFlagSchemas } = require('./flags-schema');
+const {
+  MODELS_DIR,
+  ensureModelsDir,
+  resolveModelName,
+  modelFileSize,
+  readModelInfo,
+  scanModels,
+  findModel,
+  renameTargets,
+  renameModel,
+  deleteModel,
+  watchModels
+} = require('./models');
+const { estimateMemory, formatBytes, getSystemMemory } = require('./memory');
+const {
+  parseDownloadRequest,
+  findDownloadByName,
+  getDownload,
+  listDownloads,
+  serializeDownload,
+  addDownload,
+  pauseDownload,
+  resumeDownload,
+  removeDownload,
+  abortAllDownloads
+} = require('./downloads');
+const { receiveModelUpload, removeStaleUploads } = require('./uploads');
+const { getServerBackends, getSystemInfo } = require('./system-info');
+const { getSetting, listSettings, validateSettings, updateSettings } = require('./settings');
+const {
+  authMethods,
+  isAuthEnabled,
+  verifyCredentials,
+  isLoginBlocked,
+  recordLoginFailure,
+  clearLoginFailures,
+  authenticate,
+  startSession,
+  endSession,
+  endAllSessions,
+  corsOptions,
+  protectRequests
+} = require('./auth');
+const { isValidBuildId, listBuilds, getBuild, activateBuild, removeBuild } = require('./builds');
+const {
+  installEvents,
+  getInstallJob,
+  getInstallOutput,
+  isInstalling,
+  startInstallJob,
+  getReleases,
+  checkForUpdate
+} = require('./installer');
+const {
+  isValidRunId,
+  createRunId,
+  attachLogPersistence,
+  listRuns,
+  getRun,
+  queryLogs,
+  sendRunDownload
+} = require('./logs');
+const {
+  isValidProfileName,
+  getProfile,
+  listProfiles,
+  validateProfileData,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  duplicateProfile
+} = require('./profiles');
+const {
+  DEFAULT_INSTANCE,
+  DEFAULT_SUPERVISOR,
+  instanceEvents,
+  isValidInstanceName,
+  getInstance,
+  listInstances,
+  isActive,
+  findTargetConflict,
+  startInstance,
+  stopInstance,
+  stopAllInstances,
+  killAllInstances,
+  removeInstance,
+  clearInstanceLogs,
+  serializeInstance
+} = require('./instances');
 
 const app = express();
-const PORT = 54321;
+const PORT = getSetting('port');
+const HOST = getSetting('host');
+
+// Persist every run's output to logs/
+attachLogPersistence(instanceEvents);
+
+// Pick the instance a bare proxied request should go to:
+// the X-Yapper-Instance header, else "default", else the only running instance
+function resolveProxyTarget(req) {
+  const requested = req.get('x-yapper-instance');
+  if (requested) {
+    const instance = getInstance(requested);
+    return instance && instance.status === 'running' ? instance.target : null;
+  }
+
+  const fallback = getInstance(DEFAULT_INSTANCE);
+  if (fallback && fallback.status === 'running') {
+    return fallback.target;
+  }
+
+  const running = listInstances().filter(i => i.status === 'running');
+  return running.length === 1 ? running[0].target : null;
+}
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions));
+app.use(protectRequests);
+
+// Proxy llama-server API routes (mounted before the body parsers so request bodies stream through untouched)
+app.use(PROXY_ROUTES, createProxy(resolveProxyTarget));
+app.use('/instances/:name/api', createProxy((req) => {
+  const instance = getInstance(req.params.name);
+  return instance && instance.status === 'running' ? instance.target : null;
+}, { stripMountPath: true }));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Global state
-let llamaServerProcess = null;
-let serverStatus = 'stopped';
-let serverLogs = [];
+// Ensure models directory exists, and tell clients when models are added or removed
+ensureModelsDir();
+removeStaleUploads();
+watchModels();
 
-// Models directory
-const MODELS_DIR = path.join(__dirname, '../models');
-
-// Ensure models directory exists
-if (!fs.existsSync(MODELS_DIR)) {
-  fs.mkdirSync(MODELS_DIR, { recursive: true });
+// Models that can be started (projectors are not models of their own)
+function listStartableModels() {
+  return scanModels().filter(model => model.kind === 'model');
 }
 
-// Check and install llama-server on startup
+// Mention background installs in the console as well: each stage, and how the install ended
+let lastInstallStage = null;
+installEvents.on('job', (job) => {
+  if (job.status === 'completed') {
+    console.log(`llama.cpp install finished: ${job.message}`);
+  } else if (job.status === 'failed') {
+    console.error(`llama.cpp install failed: ${job.error}`);
+  } else if (job.stage !== lastInstallStage) {
+    console.log(`llama.cpp install: ${job.message}`);
+  }
+  lastInstallStage = job.status === 'running' ? job.stage : null;
+});
+
+// Check for llama-server on startup, installing it in the background when missing
 async function initializeLlamaServer() {
   try {
     console.log('Checking for llama-server...');
-    let serverPath = checkLlamaServer();
-    console.log('Check result:', serverPath ? `Found at: ${serverPath}` : 'Not found');
+    const serverPath = checkLlamaServer();
     if (!serverPath) {
-      console.log('llama-server not found, installing...');
-      await install();
-      serverPath = checkLlamaServer();
-      console.log('Post-install check:', serverPath ? `Found at: ${serverPath}` : 'Still not found');
-      if (!serverPath) {
-        console.log('Warning: Failed to install llama-server, will attempt on first start request');
-      } else {
-        console.log(`llama-server installed successfully at: ${serverPath}`);
-      }
+      console.log('llama-server not found, installing in the background (progress is shown in the web UI)');
+      startInstallJob();
     } else {
       console.log(`llama-server found at: ${serverPath}`);
     }
     
     // Check for models
-    const models = fs.readdirSync(MODELS_DIR).filter(f => f.endsWith('.gguf'));
+    const models = listStartableModels();
     if (models.length === 0) {
       console.log(`\nNo models found in ${MODELS_DIR}`);
-      console.log('Add .gguf model files to the models/ directory to get started');
+      console.log('Add .gguf model files to the models/ directory (or a folder inside it) to get started');
     } else {
       console.log(`\nFound ${models.length} model(s)`);
     }
@@ -63,185 +190,1039 @@ async function initializeLlamaServer() {
 // Load flag definitions
 const flagDefinitions = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/llama-flags.json'), 'utf-8'));
 
-// Start server endpoint
-app.post('/start-server', async (req, res) => {
-  if (serverStatus === 'running') {
-    return res.status(400).json({ error: 'Server is already running' });
+// Flags with the configured llama-server host and port filled in where they are not set
+function withServerDefaults(flags) {
+  return { ...flags, host: flags.host || getSetting('llamaHost'), port: flags.port || getSetting('llamaPort') };
+}
+
+// Work out where the proxy should send requests for a given flag set
+function resolveServerTarget(flags) {
+  const { host, port } = withServerDefaults(flags);
+
+  if (host.endsWith('.sock')) {
+    return { socketPath: host };
+  }
+  // A wildcard bind address is reachable on loopback
+  if (host === '0.0.0.0' || host === '::') {
+    return { host: '127.0.0.1', port };
+  }
+  return { host, port };
+}
+
+// Whether nothing (another program, or an instance Yapper does not know about) listens on a port.
+// Only "address in use" counts; other bind errors are left for llama-server to report.
+function isPortFree(host, port) {
+  return new Promise((resolve) => {
+    const probe = net.createServer();
+    probe.once('error', error => resolve(error.code !== 'EADDRINUSE'));
+    probe.listen(port, host, () => probe.close(() => resolve(true)));
+  });
+}
+
+// Presets that bring their own model
+const PRESET_FLAGS = Object.keys(flagDefinitions).filter(name => flagDefinitions[name].section === 'presets');
+
+// What the installed llama-server supports compared with llama-flags.json, refreshed when the binary changes
+let flagSupport = null;
+
+async function getFlagSupport() {
+  const serverPath = checkLlamaServer();
+  if (!serverPath) {
+    return null;
+  }
+
+  let stamp = serverPath;
+  try {
+    stamp += `:${fs.statSync(serverPath).mtimeMs}`;
+  } catch (e) {
+    // Found through PATH
+  }
+
+  if (!flagSupport || flagSupport.stamp !== stamp) {
+    const generated = await generateFlagSchema(serverPath);
+    flagSupport = { stamp, serverPath, report: diffFlagSchemas(flagDefinitions, generated) };
+  }
+  return flagSupport;
+}
+
+// Build llama-server arguments for a flag set (see buildArgv)
+function buildArgs(flags, options) {
+  return buildArgv(flags, flagDefinitions, options);
+}
+
+// Validate the flags of a start request; returns an object mapping flag names to error messages
+// Folders file flags may point into: the models folder and the allowedDirs setting
+function allowedFileDirs() {
+  return [MODELS_DIR, ...getSetting('allowedDirs').map(dir => path.resolve(__dirname, '..', dir))];
+}
+
+function validateStartFlags(flags) {
+  const errors = { ...validateFilePaths(flags, flagDefinitions, allowedFileDirs()), ...validateFlags(flags, flagDefinitions) };
+  const hasPreset = PRESET_FLAGS.some(p => flags[p]);
+  if (!flags.model && !hasPreset && !errors.model) {
+    errors.model = 'Please select a model or enable a preset';
+  }
+  return errors;
+}
+
+// Estimate the memory a flag set needs when run by serverPath, compared with free system RAM.
+// Returns { error } when the model is not a local GGUF file that can be inspected.
+async function estimateStartMemory(flags, serverPath) {
+  if (!flags.model || typeof flags.model !== 'string') {
+    return { error: 'Memory can only be estimated for a local model file' };
+  }
+  const modelPath = path.resolve(flags.model);
+  if (!fs.existsSync(modelPath)) {
+    return { error: `Model file '${flags.model}' not found` };
+  }
+
+  let metadata;
+  try {
+    metadata = readModelInfo(modelPath);
+  } catch (e) {
+    return { error: `Could not read GGUF metadata: ${e.message}` };
+  }
+
+  // Without a GPU backend, nothing is offloaded whatever gpu-layers says
+  const backends = serverPath ? await getServerBackends(serverPath) : null;
+  const estimate = estimateMemory(metadata, modelFileSize(modelPath), flags, flagDefinitions, backends);
+  const memory = getSystemMemory();
+  return { ...estimate, memory, exceedsFreeMemory: estimate.total.ram > memory.free };
+}
+
+// Validate the optional "supervisor" options of a start request; returns an error message or null
+function validateSupervisorOptions(options) {
+  if (options === undefined) return null;
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return 'supervisor must be an object';
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in DEFAULT_SUPERVISOR)) {
+      return `Unknown supervisor option '${key}'`;
+    }
+    if (typeof value !== typeof DEFAULT_SUPERVISOR[key]) {
+      return `supervisor.${key} must be a ${typeof DEFAULT_SUPERVISOR[key]}`;
+    }
+    if (typeof value === 'number' && !(value >= 0)) {
+      return `supervisor.${key} must not be negative`;
+    }
+  }
+  if (options.startupTimeout === 0) {
+    return 'supervisor.startupTimeout must be greater than 0';
+  }
+  return null;
+}
+
+// Resolve a start request into what the instance would be launched with: the request's flags
+// merged over its profile, the supervisor options, the llama.cpp build, flag errors and the target
+// (with an auto-assigned port). Resolves with { flags, supervisor, build, serverPath, errors, target }
+// or { status, error } when the request itself is unusable.
+async function prepareStart(name, body) {
+  let { supervisor, profile, build, ...flags } = body;
+
+  // Start from a saved profile; values in the request override it
+  if (profile !== undefined) {
+    const saved = getProfile(profile);
+    if (!saved) {
+      return { status: 404, error: `Profile '${profile}' not found` };
+    }
+    flags = { ...saved.flags, ...flags };
+    supervisor = { ...saved.supervisor, ...supervisor };
+    if (build === undefined) build = saved.build;
+  }
+
+  const supervisorError = validateSupervisorOptions(supervisor);
+  if (supervisorError) {
+    return { status: 400, error: supervisorError };
+  }
+
+  // A pinned build must be installed; without one the active build (or whatever llama-server is found) runs
+  let serverPath = null;
+  if (build) {
+    const pinned = isValidBuildId(build) ? getBuild(build) : null;
+    if (!pinned || !pinned.serverPath) {
+      return { status: 400, error: `llama.cpp build '${build}' is not installed` };
+    }
+    serverPath = pinned.serverPath;
+  } else {
+    build = null;
+    serverPath = checkLlamaServer();
+  }
+
+  const errors = validateStartFlags(flags);
+  if (errors.host || errors.port) {
+    return { flags, supervisor, build, serverPath, errors, target: null };
+  }
+
+  // Give instances without an explicit port the next one not taken by another instance or program.
+  // The port of the instance itself, when it is running (e.g. for a dry run), is not taken.
+  let target = resolveServerTarget(flags);
+  if (!flags.port && !target.socketPath) {
+    const bindHost = withServerDefaults(flags).host;
+    const current = getInstance(name);
+    const ownPort = current && isActive(current) && current.target ? Number(current.target.port) : null;
+    while (findTargetConflict(name, target) ||
+        (target.port !== ownPort && !(await isPortFree(bindHost, target.port)))) {
+      flags.port = target.port + 1;
+      target = resolveServerTarget(flags);
+    }
+  }
+
+  // The instance is started with the configured host and port (left off the command line when
+  // they are llama-server's own defaults)
+  return { flags: withServerDefaults(flags), supervisor, build, serverPath, errors, target };
+}
+
+// Validate and start an instance, sending the HTTP response
+async function handleStart(name, body, res) {
+  const existing = getInstance(name);
+  if (existing && isActive(existing)) {
+    return res.status(400).json({ error: `Instance '${name}' is already running` });
   }
 
   try {
+    const prepared = await prepareStart(name, body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
     // Check if llama-server is available
-    const serverPath = checkLlamaServer();
+    const { flags, supervisor, build, serverPath, target, errors } = prepared;
     if (!serverPath) {
-      return res.status(503).json({ error: 'llama-server is not installed or available. Please try again or check the server logs.' });
+      const error = isInstalling()
+        ? 'llama.cpp is still being installed; start again once the install has finished.'
+        : 'llama-server is not installed or available. Install it from the llama.cpp Builds panel or check the server logs.';
+      return res.status(503).json({ error });
+    }
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: Object.values(errors).join('\n'), errors });
     }
 
-    const flags = req.body;
-    
     // Check if any models exist
-    const availableModels = fs.readdirSync(MODELS_DIR).filter(f => f.endsWith('.gguf'));
+    const availableModels = listStartableModels();
     if (availableModels.length === 0) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         error: 'No models found. Please add a .gguf model file to the models/ directory first.',
         modelsDir: MODELS_DIR
       });
     }
-    
-    // Check if any preset is enabled
-    const presetFlags = [
-      'embd-gemma-default',
-      'fim-qwen-1.5b-default',
-      'fim-qwen-3b-default',
-      'fim-qwen-7b-default',
-      'fim-qwen-7b-spec',
-      'fim-qwen-14b-spec',
-      'fim-qwen-30b-default',
-      'gpt-oss-20b-default',
-      'gpt-oss-120b-default',
-      'vision-gemma-4b-default',
-      'vision-gemma-12b-default'
-    ];
-    
-    const hasPreset = presetFlags.some(p => flags[p]);
-    
-    if (!flags.model && !hasPreset) {
-      return res.status(400).json({ error: 'Please select a model or enable a preset' });
+
+    const conflict = findTargetConflict(name, target);
+    if (conflict) {
+      return res.status(409).json({ error: `Address is already used by instance '${conflict.name}'` });
     }
 
-    serverStatus = 'starting';
-    
-    // Build command arguments
-    const args = [];
-    for (const [key, value] of Object.entries(flags)) {
-      if (value !== '' && value !== null && value !== undefined) {
-        const flagDef = flagDefinitions[key];
-        const defaultValue = flagDef?.default;
-        
-        // Only include if value differs from default
-        if (value !== defaultValue) {
-          if (typeof value === 'boolean') {
-            if (value) args.push(`--${key}`);
-          } else {
-            args.push(`--${key}`, String(value));
-          }
-        }
-      }
+    // Starting anyway is up to the caller; the estimate only produces a warning
+    const warnings = [];
+    const estimate = await estimateStartMemory(flags, serverPath);
+    if (estimate.exceedsFreeMemory) {
+      warnings.push(`Estimated RAM use (${formatBytes(estimate.total.ram)}) exceeds free memory (${formatBytes(estimate.memory.free)})`);
     }
 
-    let serverReady = false;
+    const instance = await startInstance(name, {
+      serverPath,
+      build,
+      args: buildArgs(flags),
+      flags,
+      target,
+      runId: createRunId(name),
+      supervisor
+    });
+    res.json({ success: true, message: 'Server started successfully!', warnings, instance: serializeInstance(instance) });
+  } catch (error) {
+    console.error('Error starting server:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
 
-    try {
-      llamaServerProcess = spawn(serverPath, args, {
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-    } catch (spawnError) {
-      serverStatus = 'stopped';
-      return res.status(500).json({ error: `Failed to spawn process: ${spawnError.message}` });
-    }
+// Stop an instance and respond once its process has exited
+async function handleStop(name, res) {
+  const instance = getInstance(name);
+  if (!instance || !isActive(instance)) {
+    return res.status(400).json({ error: 'Server is not running' });
+  }
 
-    llamaServerProcess.on('error', (err) => {
-      if (!serverReady) {
-        serverReady = true;
-        serverStatus = 'stopped';
-        res.status(500).json({ error: `Process error: ${err.message}` });
-      }
+  try {
+    const { forced } = await stopInstance(name);
+    res.json({
+      success: true,
+      message: forced ? 'Server did not exit in time and was killed' : 'Server stopped',
+      forced,
+      exitCode: instance.lastExitCode
     });
+  } catch (error) {
+    console.error('Error stopping server:', error.message);
+    res.status(500).json({ error: `Failed to stop server: ${error.message}` });
+  }
+}
 
-    llamaServerProcess.stdout.on('data', (data) => {
-      const message = data.toString().trim();
-      if (message) {
-        serverLogs.push({ type: 'stdout', message, timestamp: new Date() });
-        console.log('[llama-server]', message);
-      }
+// Validate a configuration without starting it endpoint (same body as a start request)
+app.post('/validate-config', async (req, res) => {
+  try {
+    const prepared = await prepareStart(DEFAULT_INSTANCE, req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+    res.json({ valid: Object.keys(prepared.errors).length === 0, errors: prepared.errors });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Show the command a start request would run endpoint (same body as a start request).
+// Query: instance (default "default"), short=true for short flag forms, shell=posix|windows for quoting.
+app.post('/dry-run', async (req, res) => {
+  const name = req.query.instance || DEFAULT_INSTANCE;
+  if (!isValidInstanceName(name)) {
+    return res.status(400).json({ error: 'Instance names may only contain letters, numbers, ".", "_" and "-"' });
+  }
+  const shell = req.query.shell || (process.platform === 'win32' ? 'windows' : 'posix');
+  if (shell !== 'posix' && shell !== 'windows') {
+    return res.status(400).json({ error: 'shell must be posix or windows' });
+  }
+
+  try {
+    const prepared = await prepareStart(name, req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
+    const argv = [prepared.serverPath || 'llama-server', ...buildArgs(prepared.flags, { shortForms: req.query.short === 'true' })];
+    res.json({
+      argv,
+      command: formatCommandLine(argv, shell),
+      target: prepared.target,
+      valid: Object.keys(prepared.errors).length === 0,
+      errors: prepared.errors
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Estimate memory use of a configuration endpoint (same body as a start request)
+app.post('/estimate-memory', async (req, res) => {
+  try {
+    const prepared = await prepareStart(DEFAULT_INSTANCE, req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
+    // Only model files in an allowed folder are read
+    if (prepared.errors.model) {
+      return res.status(422).json({ error: prepared.errors.model });
+    }
+    const estimate = await estimateStartMemory(prepared.flags, prepared.serverPath);
+    if (estimate.error) {
+      return res.status(422).json(estimate);
+    }
+    res.json(estimate);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start server endpoint
+app.post('/start-server', (req, res) => handleStart(DEFAULT_INSTANCE, req.body, res));
+
+// Stop server endpoint
+app.post('/stop-server', (req, res) => handleStop(DEFAULT_INSTANCE, res));
 
-    llamaServerProcess.stderr.on('data', (data) => {
-      const message = data.toString().trim();
-      if (message) {
-        serverLogs.push({ type: 'stderr', message, timestamp: new Date() });
-        console.log('[llama-server]', message);
-        
-        if (!serverReady && message.includes('listening on')) {
-          serverReady = true;
-          serverStatus = 'running';
-          res.json({ success: true, message: 'Server started successfully!' });
-        }
+// Server status endpoint
+app.get('/server-status', (req, res) => {
+  const instance = getInstance(DEFAULT_INSTANCE);
+  res.json({
+    status: instance ? instance.status : 'stopped',
+    target: instance ? instance.target : null,
+    restarts: instance ? instance.restarts : 0,
+    lastExitCode: instance ? instance.lastExitCode : null,
+    logs: instance ? instance.logs.slice(-100) : [] // Return last 100 logs
+  });
+});
+
+// Log streams that can be queried
+const LOG_STREAMS = ['stdout', 'stderr', 'exit'];
+
+// Regular expression searches run on the main thread, so they are kept short and stop after this many
+// lines or this long, newest lines first
+const MAX_LOG_REGEX_LENGTH = 200;
+const MAX_LOG_REGEX_LINES = 1000000;
+const LOG_REGEX_TIME_LIMIT_MS = 2000;
+
+// Whether a regular expression repeats a group that itself contains a repetition, e.g. (a+)+, which can take
+// exponential time on a single line that almost matches
+function hasNestedQuantifier(source) {
+  // For each open group: whether it contains a quantifier
+  const groups = [false];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
       }
-    });
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')' && groups.length > 1) {
+      if (groups.pop()) {
+        if ('*+{'.includes(source[i + 1])) return true;
+        groups[groups.length - 1] = true;
+      }
+    } else if ('*+{'.includes(char)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
 
-    llamaServerProcess.on('close', (code) => {
-      serverStatus = 'stopped';
-      serverLogs.push({ 
-        type: 'exit', 
-        message: `Process exited with code ${code}`, 
-        timestamp: new Date() 
-      });
-      
-      if (!serverReady) {
-        serverReady = true;
-        res.status(500).json({ error: `Server process exited with code ${code}` });
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Search persisted logs endpoint
+app.get('/logs', async (req, res) => {
+  const { instance, run, stream, since, until, q, limit } = req.query;
+
+  const streams = stream ? String(stream).split(',').filter(Boolean) : null;
+  if (streams && streams.some(s => !LOG_STREAMS.includes(s))) {
+    return res.status(400).json({ error: `stream must be a comma separated list of: ${LOG_STREAMS.join(', ')}` });
+  }
+
+  const sinceDate = parseDateParam(since);
+  const untilDate = parseDateParam(until);
+  if (sinceDate === undefined || untilDate === undefined) {
+    return res.status(400).json({ error: 'since and until must be ISO dates or epoch milliseconds' });
+  }
+
+  // q is plain text unless regex=true
+  let pattern = null;
+  const regex = Boolean(q) && req.query.regex === 'true';
+  if (q) {
+    const text = String(q);
+    if (!regex) {
+      pattern = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    } else if (text.length > MAX_LOG_REGEX_LENGTH) {
+      return res.status(400).json({ error: `q must be at most ${MAX_LOG_REGEX_LENGTH} characters with regex=true` });
+    } else if (hasNestedQuantifier(text)) {
+      return res.status(400).json({ error: 'q must not repeat a group that contains a repetition, such as (a+)+' });
+    } else {
+      try {
+        pattern = new RegExp(text, 'i');
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
       }
-      
-      llamaServerProcess = null;
+    }
+  }
+
+  const max = Math.min(Math.max(parseInt(limit, 10) || 1000, 1), 10000);
+
+  try {
+    const result = await queryLogs({
+      instance,
+      run,
+      streams,
+      since: sinceDate,
+      until: untilDate,
+      pattern,
+      limit: max,
+      maxLines: regex ? MAX_LOG_REGEX_LINES : Infinity,
+      timeLimitMs: regex ? LOG_REGEX_TIME_LIMIT_MS : Infinity
     });
+    res.json(result);
   } catch (error) {
-    console.error('Error starting server:', error);
-    serverStatus = 'stopped';
     res.status(500).json({ error: error.message });
   }
 });
 
-// Stop server endpoint
-app.post('/stop-server', (req, res) => {
-  if (!llamaServerProcess) {
-    return res.status(400).json({ error: 'Server is not running' });
+// List persisted runs endpoint
+app.get('/logs/runs', (req, res) => {
+  try {
+    const runs = listRuns().filter(run => !req.query.instance || run.instance === req.query.instance);
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a run's log endpoint
+app.get('/logs/runs/:runId/download', async (req, res) => {
+  const { runId } = req.params;
+  const run = isValidRunId(runId) ? getRun(runId) : null;
+  if (!run) {
+    return res.status(404).json({ error: `Run '${runId}' not found` });
   }
 
   try {
-    // Try to kill the process gracefully
-    // On Windows, this kills the process directly
-    // On Unix, this sends SIGTERM to the process group
-    if (process.platform === 'win32') {
-      process.kill(llamaServerProcess.pid);
+    await sendRunDownload(run, res);
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
     } else {
-      process.kill(-llamaServerProcess.pid);
+      res.destroy();
     }
-    res.json({ success: true, message: 'Server stop signal sent' });
+  }
+});
+
+// Import a pasted llama-server command line endpoint
+app.post('/import-command', (req, res) => {
+  const { command } = req.body;
+  if (typeof command !== 'string' || !command.trim()) {
+    return res.status(400).json({ error: 'command must be a non-empty string' });
+  }
+
+  try {
+    res.json(parseCommandLine(command, flagDefinitions));
   } catch (error) {
-    console.error('Error stopping server:', error.message);
-    res.status(500).json({ error: `Failed to stop server: ${error.message}` });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Server status endpoint
-app.get('/server-status', (req, res) => {
+// Export a configuration as a launch script endpoint (body: { format, flags, name })
+app.post('/export-config', (req, res) => {
+  const { format, flags = {}, name = 'llama-server' } = req.body;
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (typeof flags !== 'object' || flags === null || Array.isArray(flags)) {
+    return res.status(400).json({ error: 'flags must be an object' });
+  }
+
+  try {
+    const serverPath = checkLlamaServer();
+    res.json(exportLaunchScript(format, buildArgs(withServerDefaults(flags)), {
+      serverPath: serverPath ? path.resolve(serverPath) : 'llama-server',
+      workingDir: path.resolve(__dirname, '..'),
+      modelsDir: MODELS_DIR,
+      port: withServerDefaults(flags).port,
+      name: String(name)
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate the :profile parameter of profile routes
+app.param('profile', (req, res, next, name) => {
+  if (!isValidProfileName(name)) {
+    return res.status(400).json({ error: 'Profile names may only contain letters, numbers, ".", "_" and "-"' });
+  }
+  next();
+});
+
+// List profiles endpoint
+app.get('/profiles', (req, res) => {
+  try {
+    res.json(listProfiles());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get profile endpoint
+app.get('/profiles/:profile', (req, res) => {
+  const profile = getProfile(req.params.profile);
+  if (!profile) {
+    return res.status(404).json({ error: `Profile '${req.params.profile}' not found` });
+  }
+  res.json(profile);
+});
+
+// Create profile endpoint
+app.post('/profiles', (req, res) => {
+  const { name } = req.body;
+  if (!isValidProfileName(name)) {
+    return res.status(400).json({ error: 'Profile names may only contain letters, numbers, ".", "_" and "-"' });
+  }
+  if (getProfile(name)) {
+    return res.status(409).json({ error: `Profile '${name}' already exists` });
+  }
+
+  const validationError = validateProfileData(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    res.status(201).json(createProfile(name, req.body));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update profile endpoint
+app.put('/profiles/:profile', (req, res) => {
+  if (!getProfile(req.params.profile)) {
+    return res.status(404).json({ error: `Profile '${req.params.profile}' not found` });
+  }
+
+  const validationError = validateProfileData(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    res.json(updateProfile(req.params.profile, req.body));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete profile endpoint
+app.delete('/profiles/:profile', (req, res) => {
+  if (!getProfile(req.params.profile)) {
+    return res.status(404).json({ error: `Profile '${req.params.profile}' not found` });
+  }
+
+  try {
+    deleteProfile(req.params.profile);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Duplicate profile endpoint
+app.post('/profiles/:profile/duplicate', (req, res) => {
+  const { name } = req.body;
+  if (!getProfile(req.params.profile)) {
+    return res.status(404).json({ error: `Profile '${req.params.profile}' not found` });
+  }
+  if (!isValidProfileName(name)) {
+    return res.status(400).json({ error: 'Profile names may only contain letters, numbers, ".", "_" and "-"' });
+  }
+  if (getProfile(name)) {
+    return res.status(409).json({ error: `Profile '${name}' already exists` });
+  }
+
+  try {
+    res.status(201).json(duplicateProfile(req.params.profile, name));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start an instance from a profile endpoint (body: { instance })
+app.post('/profiles/:profile/start', (req, res) => {
+  const instanceName = req.body.instance || DEFAULT_INSTANCE;
+  if (!isValidInstanceName(instanceName)) {
+    return res.status(400).json({ error: 'Instance names may only contain letters, numbers, ".", "_" and "-"' });
+  }
+  handleStart(instanceName, { profile: req.params.profile }, res);
+});
+
+// Live status and log stream endpoint
+app.get('/events', handleEventStream);
+
+// Validate the :name parameter of instance routes
+app.param('name', (req, res, next, name) => {
+  if (!isValidInstanceName(name)) {
+    return res.status(400).json({ error: 'Instance names may only contain letters, numbers, ".", "_" and "-"' });
+  }
+  next();
+});
+
+// List instances endpoint
+app.get('/instances', (req, res) => {
+  res.json(listInstances().map(instance => serializeInstance(instance)));
+});
+
+// Instance status endpoint
+app.get('/instances/:name', (req, res) => {
+  const instance = getInstance(req.params.name);
+  if (!instance) {
+    return res.status(404).json({ error: `Instance '${req.params.name}' not found` });
+  }
+  res.json(serializeInstance(instance, { logLimit: 100 }));
+});
+
+// Start instance endpoint
+app.post('/instances/:name/start', (req, res) => handleStart(req.params.name, req.body, res));
+
+// Stop instance endpoint
+app.post('/instances/:name/stop', (req, res) => handleStop(req.params.name, res));
+
+// Clear instance logs endpoint
+app.post('/instances/:name/clear-logs', (req, res) => {
+  clearInstanceLogs(req.params.name);
+  res.json({ success: true });
+});
+
+// Remove instance endpoint
+app.delete('/instances/:name', (req, res) => {
+  try {
+    if (!removeInstance(req.params.name)) {
+      return res.status(404).json({ error: `Instance '${req.params.name}' not found` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// System info endpoint: the llama-server binary (version, backends), CPU, memory and OS
+app.get('/system-info', async (req, res) => {
+  try {
+    res.json(await getSystemInfo());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get flag definitions endpoint; host and port default to the configured llama-server host and port
+app.get('/flag-definitions', (req, res) => {
   res.json({
-    status: serverStatus,
-    logs: serverLogs.slice(-100) // Return last 100 logs
+    ...flagDefinitions,
+    host: { ...flagDefinitions.host, default: getSetting('llamaHost') },
+    port: { ...flagDefinitions.port, default: getSetting('llamaPort') }
   });
 });
 
-// Get flag definitions endpoint
-app.get('/flag-definitions', (req, res) => {
-  res.json(flagDefinitions);
+// List settings endpoint
+app.get('/settings', (req, res) => {
+  res.json(listSettings());
+});
+
+// Update settings endpoint (body: { key: value }, null to go back to the default)
+app.put('/settings', (req, res) => {
+  const error = validateSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const updated = updateSettings(req.body);
+    // New credentials log everyone else out; whoever set them stays logged in
+    if (['authToken', 'authUser', 'authPassword'].some(key => key in req.body)) {
+      endAllSessions();
+      if (isAuthEnabled()) startSession(req, res);
+    }
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Authentication status endpoint
+app.get('/auth/status', (req, res) => {
+  res.json({ enabled: isAuthEnabled(), methods: authMethods(), authenticated: !isAuthEnabled() || authenticate(req) !== null });
+});
+
+// Log in endpoint (body: { token } or { username, password })
+app.post('/auth/login', (req, res) => {
+  if (!isAuthEnabled()) {
+    return res.status(400).json({ error: 'Authentication is not enabled' });
+  }
+  if (isLoginBlocked(req.ip)) {
+    return res.status(429).json({ error: 'Too many failed logins; try again later' });
+  }
+
+  try {
+    if (!verifyCredentials(req.body)) {
+      recordLoginFailure(req.ip);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    clearLoginFailures(req.ip);
+    startSession(req, res);
+    res.json({ authenticated: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log out endpoint
+app.post('/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.json({ authenticated: false });
 });
 
+// Compare llama-flags.json with the installed llama-server's --help endpoint
+app.get('/flag-definitions/report', async (req, res) => {
+  try {
+    const support = await getFlagSupport();
+    if (!support) {
+      return res.status(503).json({ error: 'llama-server is not installed or available' });
+    }
+    res.json({ serverPath: support.serverPath, ...support.report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Largest context suggested for a model; the KV cache grows with it, so very long
+// training contexts are better opted into explicitly
+const MAX_SUGGESTED_CTX = 32768;
+
+// Starting values for the form: the training context (capped) and every layer offloaded
+// to the GPU (the repeating blocks plus the output layer)
+function suggestModelFlags(metadata) {
+  const suggested = {};
+  if (metadata.contextLength) {
+    suggested['ctx-size'] = Math.min(metadata.contextLength, MAX_SUGGESTED_CTX);
+  }
+  if (metadata.blockCount) {
+    suggested['gpu-layers'] = metadata.blockCount + 1;
+  }
+  return suggested;
+}
+
+// Flags that point llama-server at a model file
+const MODEL_FILE_FLAGS = ['model', 'mmproj', 'model-draft'];
+
+// Active instance using one of a model's files, or null
+function findInstanceUsingModel(model) {
+  const files = model.files.map(resolveModelName);
+  return listInstances().find(instance => isActive(instance) && MODEL_FILE_FLAGS.some(flag =>
+    typeof instance.flags[flag] === 'string' && files.includes(path.resolve(instance.flags[flag])))) || null;
+}
+
 // Get available models endpoint
 app.get('/models', (req, res) => {
   try {
-    const files = fs.readdirSync(MODELS_DIR);
-    const models = files
-      .filter(f => f.endsWith('.gguf'))
-      .map(filename => {
-        const filepath = path.join(MODELS_DIR, filename);
-        const stats = fs.statSync(filepath);
-        return {
-          name: filename,
-          path: path.join('models', filename),
-          size: stats.size
-        };
-      });
-    res.json(models);
+    res.json(scanModels());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Model GGUF metadata endpoint (split models by their first shard)
+app.get('/models/:model/metadata', (req, res) => {
+  const filepath = resolveModelName(req.params.model);
+  if (!filepath || !fs.existsSync(filepath)) {
+    return res.status(404).json({ error: `Model '${req.params.model}' not found` });
+  }
+
+  try {
+    const metadata = readModelInfo(filepath);
+    res.json({ ...metadata, suggested: suggestModelFlags(metadata) });
+  } catch (error) {
+    res.status(422).json({ error: `Could not read GGUF metadata: ${error.message}` });
+  }
+});
+
+// Upload model endpoint: multipart/form-data with one .gguf file, streamed to disk (query: name to save it as)
+app.post('/models/upload', async (req, res) => {
+  try {
+    res.status(201).json(await receiveModelUpload(req, req.query.name));
+  } catch (error) {
+    // The rest of a rejected upload is not read, so the connection cannot be reused
+    res.set('Connection', 'close');
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Rename model endpoint (body: { name }); the new name may move the model into another folder
+app.post('/models/:model/rename', (req, res) => {
+  const model = findModel(req.params.model);
+  if (!model) {
+    return res.status(404).json({ error: `Model '${req.params.model}' not found` });
+  }
+  const targets = renameTargets(model, req.body.name);
+  if (!targets) {
+    return res.status(400).json({ error: 'Model names must be .gguf paths inside models/, e.g. "folder/model.gguf"' });
+  }
+  const inUse = findInstanceUsingModel(model);
+  if (inUse) {
+    return res.status(409).json({ error: `Model '${model.name}' is in use by instance '${inUse.name}'` });
+  }
+  const taken = targets.find(([from, to]) => from !== to && fs.existsSync(resolveModelName(to)));
+  if (taken) {
+    return res.status(409).json({ error: `'${taken[1]}' already exists` });
+  }
+
+  try {
+    renameModel(targets);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete model endpoint (all shards of a split model)
+app.delete('/models/:model', (req, res) => {
+  const model = findModel(req.params.model);
+  if (!model) {
+    return res.status(404).json({ error: `Model '${req.params.model}' not found` });
+  }
+  const inUse = findInstanceUsingModel(model);
+  if (inUse) {
+    return res.status(409).json({ error: `Model '${model.name}' is in use by instance '${inUse.name}'` });
+  }
+
+  try {
+    deleteModel(model);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List downloads endpoint
+app.get('/downloads', (req, res) => {
+  res.json(listDownloads());
+});
+
+// Queue model download endpoint (body: { url } or { repo, file, revision }, plus optional name and sha256)
+app.post('/downloads', (req, res) => {
+  const parsed = parseDownloadRequest(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  if (fs.existsSync(resolveModelName(parsed.name))) {
+    return res.status(409).json({ error: `Model '${parsed.name}' already exists` });
+  }
+  if (findDownloadByName(parsed.name)) {
+    return res.status(409).json({ error: `'${parsed.name}' is already in the download list` });
+  }
+
+  try {
+    res.status(201).json(serializeDownload(addDownload(parsed)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Look up the download the routes below act on
+app.use('/downloads/:id', (req, res, next) => {
+  req.download = getDownload(req.params.id);
+  if (!req.download) {
+    return res.status(404).json({ error: `Download '${req.params.id}' not found` });
+  }
+  next();
+});
+
+// Pause download endpoint (the partial file is kept)
+app.post('/downloads/:id/pause', (req, res) => {
+  if (!pauseDownload(req.download)) {
+    return res.status(409).json({ error: `Download is ${req.download.status}` });
+  }
+  res.json(serializeDownload(req.download));
+});
+
+// Resume download endpoint (also retries a failed download)
+app.post('/downloads/:id/resume', (req, res) => {
+  if (!resumeDownload(req.download)) {
+    return res.status(409).json({ error: `Download is ${req.download.status}` });
+  }
+  res.json(serializeDownload(req.download));
+});
+
+// Cancel download endpoint; removes it from the list (and its partial file unless it completed)
+app.delete('/downloads/:id', (req, res) => {
+  removeDownload(req.download);
+  res.json({ success: true });
+});
+
+// List installed llama.cpp builds endpoint (newest first)
+app.get('/builds', (req, res) => {
+  try {
+    res.json(listBuilds());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Active instance running a build's llama-server, or null
+function findInstanceUsingBuild(id) {
+  const build = getBuild(id);
+  if (!build) {
+    return null;
+  }
+  return listInstances().find(instance => isActive(instance) && instance.serverPath === build.serverPath) || null;
+}
+
+// Look up the build the routes below act on
+app.use('/builds/:build', (req, res, next) => {
+  req.build = isValidBuildId(req.params.build) ? getBuild(req.params.build) : null;
+  if (!req.build) {
+    return res.status(404).json({ error: `Build '${req.params.build}' not found` });
+  }
+  next();
+});
+
+// Activate build endpoint; instances run the active build unless their profile pins another
+app.post('/builds/:build/activate', (req, res) => {
+  try {
+    activateBuild(req.build.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove build endpoint; refused while an instance runs it
+app.delete('/builds/:build', (req, res) => {
+  const running = findInstanceUsingBuild(req.build.id);
+  if (running) {
+    return res.status(409).json({ error: `Build '${req.build.id}' is used by instance '${running.name}'` });
+  }
+
+  try {
+    removeBuild(req.build.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current (or last finished) llama.cpp install job endpoint; null when there was none
+app.get('/install', (req, res) => {
+  res.json(getInstallJob());
+});
+
+// Install llama.cpp endpoint; runs in the background. Body: { tag, variant } for a prebuilt release
+// (both optional), or { source: true, ref } to build from source.
+app.post('/install', (req, res) => {
+  const { source, ref, tag, variant } = req.body;
+  for (const [key, value] of Object.entries({ ref, tag, variant })) {
+    if (value !== undefined && value !== null && value !== '' &&
+        (typeof value !== 'string' || !/^[A-Za-z0-9_.*/-]{1,128}$/.test(value) || value.startsWith('-'))) {
+      return res.status(400).json({ error: `Invalid ${key}` });
+    }
+  }
+  if (isInstalling()) {
+    return res.status(409).json({ error: 'An install is already running' });
+  }
+
+  try {
+    startInstallJob({
+      source: source === true,
+      ref: ref || undefined,
+      tag: tag || undefined,
+      variant: variant || undefined,
+      // Reinstalling a build replaces its folder, so it is refused while an instance runs it
+      inUse: (id) => {
+        const running = findInstanceUsingBuild(id);
+        return running ? running.name : null;
+      }
+    });
+    res.status(202).json(getInstallJob());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Output of the current or last source build endpoint
+app.get('/install/output', (req, res) => {
+  res.json(getInstallOutput());
+});
+
+// Recent llama.cpp releases and the variants available for this platform endpoint (query: refresh=true)
+app.get('/install/releases', async (req, res) => {
+  try {
+    res.json(await getReleases({ refresh: req.query.refresh === 'true' }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare the active build with the latest llama.cpp release endpoint (query: refresh=true)
+app.get('/install/update', async (req, res) => {
+  try {
+    res.json(await checkForUpdate({ refresh: req.query.refresh === 'true' }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -249,7 +1230,7 @@ app.get('/models', (req, res) => {
 
 // Clear logs endpoint
 app.post('/clear-logs', (req, res) => {
-  serverLogs = [];
+  clearInstanceLogs(DEFAULT_INSTANCE);
   res.json({ success: true });
 });
 
@@ -258,11 +1239,44 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public', 'index.html'));
 });
 
+// Stop every llama-server before Yapper exits so none keep holding RAM/VRAM
+let shuttingDown = false;
+async function shutdown(reason, exitCode = 0) {
+  if (shuttingDown) {
+    // Asked again while waiting: don't wait any longer
+    console.log('Forcing shutdown');
+    killAllInstances();
+    process.exit(exitCode || 1);
+  }
+  shuttingDown = true;
+
+  console.log(`\n${reason}: stopping llama-server instances...`);
+  abortAllDownloads();
+  await stopAllInstances();
+  process.exit(exitCode);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('uncaughtException', (error) => {
+  console.error('Uncaught exception:', error);
+  shutdown('Uncaught exception', 1);
+});
+process.on('exit', killAllInstances);
+
 // Initialize on startup and then start server
 initializeLlamaServer().then(() => {
-  app.listen(PORT, () => {
-    const url = `http://localhost:${PORT}`;
+  const server = app.listen(PORT, HOST, () => {
+    // A wildcard bind address is reachable on loopback
+    const browserHost = HOST === '0.0.0.0' || HOST === '::' ? 'localhost' : HOST;
+    const url = `http://${browserHost.includes(':') ? `[${browserHost}]` : browserHost}:${PORT}`;
     console.log(`Llama.cpp WebUI server running on ${url}`);
+    if (!['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+      console.log(`Listening on ${HOST}: Yapper can be reached from other machines`);
+    }
+    if (!getSetting('openBrowser')) {
+      return;
+    }
     
     // Open browser
     (async () => {
@@ -274,6 +1288,10 @@ initializeLlamaServer().then(() => {
       }
     })();
   });
+  server.on('error', (error) => {
+    console.error(`Could not listen on ${HOST}:${PORT}: ${error.message}`);
+    process.exit(1);
+  });
 }).catch((error) => {
   console.error('Failed to initialize llama-server:', error);
   process.exit(1);
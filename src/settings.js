@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+
+// Yapper's own settings. Each one comes from, highest precedence first: a command line argument
+// (--port 8000), an environment variable (YAPPER_PORT=8000), config/settings.json (written by the
+// Settings tab), then the default below.
+const ROOT_DIR = path.join(__dirname, '..');
+const SETTINGS_PATH = path.join(ROOT_DIR, 'config/settings.json');
+
+// Settings marked restart are read once at startup; changing them takes effect after a restart.
+// Paths are relative to the Yapper folder.
+const SETTING_DEFINITIONS = {
+  port: {
+    label: 'Port',
+    type: 'port', default: 54321, env: 'YAPPER_PORT', arg: '--port', restart: true,
+    description: 'Port the web UI and API listen on'
+  },
+  host: {
+    label: 'Bind address',
+    type: 'string', default: '127.0.0.1', env: 'YAPPER_HOST', arg: '--host', restart: true,
+    description: 'Address the web UI and API listen on; 0.0.0.0 makes Yapper reachable from other machines'
+  },
+  modelsDir: {
+    label: 'Models folder',
+    type: 'path', default: 'models', env: 'YAPPER_MODELS_DIR', arg: '--models-dir', restart: true,
+    description: 'Folder holding the model library'
+  },
+  llamaCppDir: {
+    label: 'llama.cpp folder',
+    type: 'path', default: 'llama.cpp', env: 'YAPPER_LLAMA_CPP_DIR', arg: '--llama-cpp-dir', restart: true,
+    description: 'Folder for llama.cpp builds, source checkouts and the build manifest'
+  },
+  openBrowser: {
+    label: 'Open browser on startup',
+    type: 'boolean', default: true, env: 'YAPPER_OPEN_BROWSER', arg: '--open-browser', restart: true,
+    description: 'Open the web UI in a browser on startup'
+  },
+  llamaHost: {
+    label: 'llama-server host',
+    type: 'string', default: '127.0.0.1', env: 'YAPPER_LLAMA_HOST', arg: '--llama-host', restart: false,
+    description: 'Address llama-server instances listen on when the flags do not set one'
+  },
+  llamaPort: {
+    label: 'llama-server port',
+    type: 'port', default: 8080, env: 'YAPPER_LLAMA_PORT', arg: '--llama-port', restart: false,
+    description: 'Port of the first llama-server instance when the flags do not set one; others take the next free port'
+  },
+  authToken: {
+    label: 'Access token',
+    type: 'secret', default: null, env: 'YAPPER_AUTH_TOKEN', arg: '--auth-token', restart: false,
+    description: 'Require this token (or a login with it) for the web UI and API'
+  },
+  authUser: {
+    label: 'Username',
+    type: 'string', default: null, env: 'YAPPER_AUTH_USER', arg: '--auth-user', restart: false,
+    description: 'Require logging in with this username and the password below'
+  },
+  authPassword: {
+    label: 'Password',
+    type: 'secret', hashed: true, default: null, env: 'YAPPER_AUTH_PASSWORD', arg: '--auth-password', restart: false,
+    description: 'Password for the username above; saved as a hash'
+  },
+  allowedOrigins: {
+    label: 'Allowed origins',
+    type: 'list', default: [], env: 'YAPPER_ALLOWED_ORIGINS', arg: '--allowed-origins', restart: false,
+    description: 'Other websites (e.g. http://localhost:3000) allowed to call the API from a browser, comma separated'
+  },
+  allowedDirs: {
+    label: 'Allowed folders',
+    type: 'list', default: [], env: 'YAPPER_ALLOWED_DIRS', arg: '--allowed-dirs', restart: false,
+    description: 'Folders besides the models folder that file flags (--log-file, --path, ...) may point into, comma separated'
+  }
+};
+
+// Check a value for a setting. Strings (from the environment or command line) are converted;
+// throws when the value does not fit the setting.
+function parseSetting(key, value) {
+  const def = SETTING_DEFINITIONS[key];
+  if (def.type === 'port') {
+    const port = typeof value === 'string' ? Number(value.trim() || NaN) : value;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`${key} must be a port number (1-65535)`);
+    }
+    return port;
+  }
+  if (def.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string' && /^(true|1|yes|on)$/i.test(value.trim())) return true;
+    if (typeof value === 'string' && /^(false|0|no|off)$/i.test(value.trim())) return false;
+    throw new Error(`${key} must be true or false`);
+  }
+  if (def.type === 'list') {
+    const entries = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+      throw new Error(`${key} must be a list of strings`);
+    }
+    return entries.map(entry => entry.trim()).filter(Boolean);
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${key} must be a non-empty string`);
+  }
+  // Spaces may be part of a secret
+  return def.type === 'secret' ? value : value.trim();
+}
+
+// Keep the valid settings of a source, warning about the rest
+function collectSettings(raw, describe) {
+  const values = {};
+  for (const [key, value] of Object.entries(raw)) {
+    try {
+      values[key] = parseSetting(key, value);
+    } catch (error) {
+      console.warn(`Ignoring ${describe(key)}: ${error.message}`);
+    }
+  }
+  return values;
+}
+
+function readSettingsFile() {
+  if (!fs.existsSync(SETTINGS_PATH)) {
+    return {};
+  }
+  try {
+    const saved = JSON.parse(fs.readFileSync(SETTINGS_PATH, 'utf-8'));
+    const known = Object.entries(saved).filter(([key, value]) => key in SETTING_DEFINITIONS && value !== null);
+    return collectSettings(Object.fromEntries(known), key => `${key} in ${SETTINGS_PATH}`);
+  } catch (error) {
+    console.warn(`Ignoring ${SETTINGS_PATH}: ${error.message}`);
+    return {};
+  }
+}
+
+function readEnvironment() {
+  const raw = {};
+  for (const [key, def] of Object.entries(SETTING_DEFINITIONS)) {
+    if (process.env[def.env] !== undefined && process.env[def.env] !== '') {
+      raw[key] = process.env[def.env];
+    }
+  }
+  return collectSettings(raw, key => SETTING_DEFINITIONS[key].env);
+}
+
+// Settings on the command line: --port 8000, --port=8000, and --open-browser / --no-open-browser
+// for booleans. Other arguments are left for the script being run.
+function readArguments(argv = process.argv.slice(2)) {
+  const raw = {};
+  for (const [key, def] of Object.entries(SETTING_DEFINITIONS)) {
+    argv.forEach((arg, i) => {
+      if (arg.startsWith(`${def.arg}=`)) {
+        raw[key] = arg.slice(def.arg.length + 1);
+      } else if (arg === def.arg) {
+        raw[key] = def.type === 'boolean' ? 'true' : (argv[i + 1] || '');
+      } else if (def.type === 'boolean' && arg === `--no-${def.arg.slice(2)}`) {
+        raw[key] = 'false';
+      }
+    });
+  }
+  return collectSettings(raw, key => SETTING_DEFINITIONS[key].arg);
+}
+
+// The environment and command line are fixed for the life of the process; the file changes when saved
+const environment = readEnvironment();
+const args = readArguments();
+let saved = readSettingsFile();
+
+// Each setting's value and where it came from ('argument', 'environment', 'file' or 'default')
+function resolveSettings() {
+  const resolved = {};
+  for (const [key, def] of Object.entries(SETTING_DEFINITIONS)) {
+    if (key in args) {
+      resolved[key] = { value: args[key], source: 'argument' };
+    } else if (key in environment) {
+      resolved[key] = { value: environment[key], source: 'environment' };
+    } else if (key in saved) {
+      resolved[key] = { value: saved[key], source: 'file' };
+    } else {
+      resolved[key] = { value: def.default, source: 'default' };
+    }
+  }
+  return resolved;
+}
+
+// What the running process uses for the settings that need a restart
+const startup = resolveSettings();
+
+function getSetting(key) {
+  return SETTING_DEFINITIONS[key].restart ? startup[key].value : resolveSettings()[key].value;
+}
+
+// Absolute path of a path setting
+function settingPath(key) {
+  return path.resolve(ROOT_DIR, getSetting(key));
+}
+
+// Secrets are never sent back, only whether they are set
+function maskSecret(def, value) {
+  return def.type === 'secret' && value !== null ? '********' : value;
+}
+
+// Every setting for the Settings tab: its definition, the value in use and where it came from,
+// the value saved in config/settings.json (or null) and whether a restart is needed to apply it
+function listSettings() {
+  const next = resolveSettings();
+  return Object.entries(SETTING_DEFINITIONS).map(([key, def]) => {
+    const current = def.restart ? startup[key] : next[key];
+    return {
+      key,
+      label: def.label,
+      type: def.type,
+      description: def.description,
+      default: def.default,
+      env: def.env,
+      arg: def.arg,
+      restart: def.restart,
+      value: maskSecret(def, current.value),
+      source: current.source,
+      saved: maskSecret(def, key in saved ? saved[key] : null),
+      restartRequired: def.restart && next[key].value !== current.value
+    };
+  });
+}
+
+// Check changes for config/settings.json ({ key: value }, null to go back to the default);
+// returns an error message or null
+function validateSettings(changes) {
+  if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+    return 'settings must be an object';
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in SETTING_DEFINITIONS)) {
+      return `Unknown setting '${key}'`;
+    }
+    if (value === null) continue;
+    try {
+      parseSetting(key, value);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+// Save validated changes to config/settings.json. Settings set on the command line or in the
+// environment are saved too, but keep being overridden. Passwords are saved hashed.
+function updateSettings(changes) {
+  const { hashPassword } = require('./auth');
+  const next = { ...saved };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete next[key];
+    } else {
+      const parsed = parseSetting(key, value);
+      next[key] = SETTING_DEFINITIONS[key].hashed ? hashPassword(parsed) : parsed;
+    }
+  }
+
+  // Write via a temp file so a crash never leaves a half-written settings file; it can hold
+  // credentials, so only the owner may read it
+  const tempPath = `${SETTINGS_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(next, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, SETTINGS_PATH);
+  saved = next;
+  return listSettings();
+}
+
+module.exports = {
+  SETTINGS_PATH,
+  SETTING_DEFINITIONS,
+  getSetting,
+  settingPath,
+  listSettings,
+  validateSettings,
+  updateSettings
+};
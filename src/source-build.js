@@ -0,0 +1,230 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildId, buildDir, findServerBinary, checkBuildReplaceable, addBuild } = require('./builds');
+const { LLAMA_CPP_REPO, getPlatform } = require('./install');
+const { settingPath } = require('./settings');
+
+// Building llama.cpp from source: clone (or use a local checkout), configure with CMake and
+// register the resulting llama-server as a build like a downloaded release
+const LLAMA_CPP_DIR = settingPath('llamaCppDir');
+const SOURCE_DIR = path.join(LLAMA_CPP_DIR, 'source');
+const CMAKE_BUILD_DIR = path.join(LLAMA_CPP_DIR, 'cmake-build');
+
+// Defaults for the "source" section of config/install.json
+const DEFAULT_SOURCE_CONFIG = {
+  repo: LLAMA_CPP_REPO,
+  ref: 'master',
+  checkout: null,
+  native: true,
+  blas: null,
+  backends: [],
+  cmakeArgs: [],
+  jobs: null
+};
+
+// GPU and other backends that can be switched on, and their CMake option
+const BACKEND_OPTIONS = {
+  cuda: 'GGML_CUDA',
+  vulkan: 'GGML_VULKAN',
+  metal: 'GGML_METAL',
+  hip: 'GGML_HIP',
+  sycl: 'GGML_SYCL',
+  opencl: 'GGML_OPENCL',
+  musa: 'GGML_MUSA',
+  cann: 'GGML_CANN',
+  rpc: 'GGML_RPC'
+};
+
+function sourceConfig(config) {
+  return { ...DEFAULT_SOURCE_CONFIG, ...(config.source || {}) };
+}
+
+// CMake arguments for a source config. llama-server is linked statically so the build can be
+// copied out of the CMake build tree; extra cmakeArgs come last and can override anything.
+function cmakeArguments(source) {
+  const args = ['-DCMAKE_BUILD_TYPE=Release', '-DBUILD_SHARED_LIBS=OFF', `-DGGML_NATIVE=${source.native ? 'ON' : 'OFF'}`];
+  if (source.blas) {
+    args.push('-DGGML_BLAS=ON', `-DGGML_BLAS_VENDOR=${source.blas}`);
+  }
+  for (const backend of source.backends) {
+    const option = BACKEND_OPTIONS[backend.toLowerCase()];
+    if (!option) {
+      throw new Error(`Unknown backend '${backend}'; choose from ${Object.keys(BACKEND_OPTIONS).join(', ')}`);
+    }
+    args.push(`-D${option}=ON`);
+  }
+  return [...args, ...source.cmakeArgs];
+}
+
+// Name of the variant a source config builds, e.g. "source-vulkan-blas"
+function sourceVariant(source) {
+  return ['source', ...source.backends.map(b => b.toLowerCase()), source.blas ? 'blas' : null, source.native ? null : 'portable']
+    .filter(Boolean)
+    .join('-');
+}
+
+// Run a command, passing each line it prints to onOutput. Rejects when it fails to start or exits non-zero.
+function run(command, args, { cwd, onOutput = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    onOutput(`$ ${[command, ...args].join(' ')}`);
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    const lastLines = [];
+
+    const readLines = (stream) => {
+      let pending = '';
+      stream.on('data', (chunk) => {
+        const lines = (pending + chunk).split(/\r?\n/);
+        pending = lines.pop();
+        for (const line of lines) {
+          lastLines.push(line);
+          if (lastLines.length > 20) lastLines.shift();
+          onOutput(line);
+        }
+      });
+      stream.on('end', () => {
+        if (pending) onOutput(pending);
+      });
+    };
+    readLines(child.stdout);
+    readLines(child.stderr);
+
+    child.on('error', (error) => {
+      reject(error.code === 'ENOENT'
+        ? new Error(`${command} was not found; install it to build llama.cpp from source`)
+        : error);
+    });
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(lastLines);
+      } else {
+        // The last line printed usually says what went wrong
+        const last = lastLines.filter(line => line.trim()).pop();
+        reject(new Error(`${command} ${args[0]} failed with exit code ${code}${last ? `: ${last.trim()}` : ''}`));
+      }
+    });
+  });
+}
+
+async function gitOutput(args, cwd) {
+  const lines = await run('git', args, { cwd });
+  return lines.join('\n').trim();
+}
+
+// Bring SOURCE_DIR to the given ref (branch, tag or commit) with a shallow fetch
+async function fetchSource(source, onOutput) {
+  if (!fs.existsSync(path.join(SOURCE_DIR, '.git'))) {
+    fs.rmSync(SOURCE_DIR, { recursive: true, force: true });
+    fs.mkdirSync(SOURCE_DIR, { recursive: true });
+    await run('git', ['init', '--quiet'], { cwd: SOURCE_DIR, onOutput });
+    await run('git', ['remote', 'add', 'origin', source.repo], { cwd: SOURCE_DIR, onOutput });
+  } else {
+    await run('git', ['remote', 'set-url', 'origin', source.repo], { cwd: SOURCE_DIR, onOutput });
+  }
+  await run('git', ['fetch', '--depth', '1', 'origin', source.ref], { cwd: SOURCE_DIR, onOutput });
+  await run('git', ['checkout', '--force', '--quiet', 'FETCH_HEAD'], { cwd: SOURCE_DIR, onOutput });
+}
+
+// Build progress from make ("[ 45%]") or ninja ("[12/180]") output, as a percentage
+function parseBuildProgress(line) {
+  const make = /^\[\s*(\d+)%\]/.exec(line);
+  if (make) return Number(make[1]);
+  const ninja = /^\[(\d+)\/(\d+)\]/.exec(line);
+  if (ninja) return Math.floor((Number(ninja[1]) / Number(ninja[2])) * 100);
+  return null;
+}
+
+// Build llama-server from source and make it the active build. options: { ref, checkout } override
+// the "source" section of the config, and inUse(id) names the instance running a build so it is not
+// replaced (see checkBuildReplaceable). onProgress({ stage, message, received, total }) reports the
+// stages (fetching, configuring, building with received/total as a percentage, installing) and
+// onOutput(line) gets the output of git and CMake. Resolves with the build's id and tag.
+async function buildFromSource(config, options = {}, onProgress = () => {}, onOutput = () => {}) {
+  const source = sourceConfig(config);
+  if (options.ref) source.ref = options.ref;
+  if (options.checkout) source.checkout = options.checkout;
+  const cmakeArgs = cmakeArguments(source);
+
+  let sourceDir;
+  if (source.checkout) {
+    sourceDir = path.resolve(source.checkout);
+    onProgress({ stage: 'fetching', message: `Using the llama.cpp checkout in ${sourceDir}` });
+  } else {
+    sourceDir = SOURCE_DIR;
+    onProgress({ stage: 'fetching', message: `Fetching llama.cpp ${source.ref} from ${source.repo}` });
+    await fetchSource(source, onOutput);
+  }
+  if (!fs.existsSync(path.join(sourceDir, 'CMakeLists.txt'))) {
+    throw new Error(`${sourceDir} is not a llama.cpp source tree (no CMakeLists.txt)`);
+  }
+
+  // A local checkout may not be a git repository; it is then named after the build date
+  let commit = null;
+  try {
+    commit = await gitOutput(['rev-parse', '--short', 'HEAD'], sourceDir);
+  } catch (e) {
+    // Not a git checkout
+  }
+  const tag = source.checkout ? (commit || 'local') : source.ref;
+  const variant = sourceVariant(source);
+  const version = commit ? (tag === commit ? commit : `${tag}-${commit}`) : `${tag}-${Date.now()}`;
+  const id = buildId(version, variant);
+  checkBuildReplaceable(id, options.inUse);
+
+  // The CMake build tree is kept between builds for faster rebuilds; dropping its cache makes
+  // options from an earlier build (e.g. a backend that is now off) not stick around
+  const cmakeDir = path.join(CMAKE_BUILD_DIR, variant);
+  fs.mkdirSync(cmakeDir, { recursive: true });
+  fs.rmSync(path.join(cmakeDir, 'CMakeCache.txt'), { force: true });
+
+  onProgress({ stage: 'configuring', message: `Configuring (${cmakeArgs.join(' ')})` });
+  await run('cmake', ['-S', sourceDir, '-B', cmakeDir, ...cmakeArgs], { onOutput });
+
+  const jobs = source.jobs || (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+  const message = `Building llama-server with ${jobs} job(s)`;
+  onProgress({ stage: 'building', message, received: 0, total: 100 });
+  await run('cmake', ['--build', cmakeDir, '--config', 'Release', '--target', 'llama-server', '-j', String(jobs)], {
+    onOutput: (line) => {
+      onOutput(line);
+      const percent = parseBuildProgress(line);
+      if (percent !== null) onProgress({ stage: 'building', message, received: percent, total: 100 });
+    }
+  });
+
+  onProgress({ stage: 'installing', message: `Installing build ${id}` });
+  const builtServer = findServerBinary(cmakeDir);
+  if (!builtServer) {
+    throw new Error('The build finished but llama-server was not found in the build tree');
+  }
+
+  // Copy the binaries next to the final folder and swap them in, as a downloaded release is
+  const targetDir = buildDir(id);
+  const tempDir = `${targetDir}.tmp`;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  try {
+    fs.cpSync(path.dirname(builtServer), tempDir, { recursive: true });
+    // An instance may have started the build while it was compiling
+    checkBuildReplaceable(id, options.inUse);
+    fs.rmSync(targetDir, { recursive: true, force: true });
+    fs.renameSync(tempDir, targetDir);
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  addBuild({
+    id,
+    tag,
+    commit,
+    asset: null,
+    variant,
+    platform: getPlatform(),
+    source: source.checkout ? sourceDir : source.repo,
+    cmakeArgs,
+    installedAt: new Date().toISOString()
+  });
+  return { id, tag };
+}
+
+module.exports = { DEFAULT_SOURCE_CONFIG, BACKEND_OPTIONS, buildFromSource };
@@ -0,0 +1,142 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const { resolveLlamaServer } = require('./install');
+const { getSystemMemory } = require('./memory');
+
+// What Yapper runs on: the llama-server binary (version and backends, from its --version output),
+// the CPU, memory and operating system
+
+// llama-server loads its backends before printing the version, which can take a while with GPUs
+const PROBE_TIMEOUT_MS = 15000;
+
+// Probe results by binary path: { stamp, probe }, refreshed when the binary changes
+const probeCache = new Map();
+
+// Parse llama-server --version output:
+//   load_backend: loaded CUDA backend from /opt/llama/libggml-cuda.so
+//   ggml_cuda_init: found 1 CUDA devices:
+//     Device 0: NVIDIA GeForce RTX 4090, compute capability 8.9, VMM: yes
+//   version: 6000 (1a2b3c4d)
+//   built with cc (GCC) 13.2.0 for x86_64-linux-gnu
+function parseVersionOutput(text) {
+  const version = /^version:\s*(\d+)\s*\(([0-9a-f]+)\)/m.exec(text);
+  const compiler = /^built with (.+)$/m.exec(text);
+
+  const backends = new Set();
+  // Backends that loaded but found no device to run on, e.g. a CUDA build on a machine without a GPU
+  const withoutDevices = new Set();
+  const devices = [];
+  for (const line of text.split(/\r?\n/)) {
+    const loaded = /load_backend: loaded (\S+) backend/.exec(line);
+    const found = /\bfound (\d+) (\S+) devices?/i.exec(line);
+    const device = /^\s*Device \d+: ([^,]+)/.exec(line);
+    if (loaded) backends.add(loaded[1]);
+    if (found && Number(found[1]) > 0) backends.add(found[2]);
+    if (found && Number(found[1]) === 0) withoutDevices.add(found[2]);
+    if (device) devices.push(device[1].trim());
+  }
+  withoutDevices.forEach(backend => backends.delete(backend));
+  // Every build has the CPU backend; statically linked builds do not log loading it
+  backends.add('CPU');
+
+  return {
+    build: version ? Number(version[1]) : null,
+    commit: version ? version[2] : null,
+    compiler: compiler ? compiler[1].trim() : null,
+    backends: Array.from(backends),
+    devices
+  };
+}
+
+// Run llama-server --version; rejects when it cannot be run or prints no version
+function probeLlamaServer(serverPath) {
+  return new Promise((resolve, reject) => {
+    execFile(serverPath, ['--version'], { timeout: PROBE_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      // The version goes to stderr, after whatever the backends log while loading
+      const probe = parseVersionOutput(`${stdout}\n${stderr}`);
+      if (probe.build === null) {
+        return reject(new Error(error
+          ? `Failed to run ${serverPath} --version: ${error.message}`
+          : `No version found in the output of ${serverPath} --version`));
+      }
+      resolve(probe);
+    });
+  });
+}
+
+// Probe a llama-server binary once per version of the file; the error is kept when it cannot be probed
+async function probeCached(serverPath) {
+  let stamp = serverPath;
+  try {
+    stamp += `:${fs.statSync(serverPath).mtimeMs}`;
+  } catch (e) {
+    // Removed since it was found
+  }
+
+  const cached = probeCache.get(serverPath);
+  if (cached && cached.stamp === stamp) {
+    return cached.probe;
+  }
+  let probe;
+  try {
+    probe = { ...(await probeLlamaServer(serverPath)), error: null };
+  } catch (error) {
+    probe = { build: null, commit: null, compiler: null, backends: [], devices: [], error: error.message };
+  }
+  probeCache.set(serverPath, { stamp, probe });
+  return probe;
+}
+
+// The llama-server that would be started: { path, source, build, commit, compiler, backends, devices, error },
+// or null when none is installed
+async function getLlamaServerInfo() {
+  const resolved = resolveLlamaServer();
+  if (!resolved) {
+    return null;
+  }
+  return { ...resolved, ...(await probeCached(resolved.path)) };
+}
+
+// Backends of a llama-server binary, or null when they cannot be found out
+async function getServerBackends(serverPath) {
+  const probe = await probeCached(serverPath);
+  return probe.error ? null : probe.backends;
+}
+
+// A readable OS name: the distribution on Linux, the edition on Windows, else the kernel
+function osName() {
+  if (os.platform() === 'linux') {
+    try {
+      const release = /^PRETTY_NAME="?([^"\n]+)"?$/m.exec(fs.readFileSync('/etc/os-release', 'utf-8'));
+      if (release) return release[1];
+    } catch (e) {
+      // No os-release
+    }
+  }
+  if (os.platform() === 'darwin') {
+    return `macOS (Darwin ${os.release()})`;
+  }
+  return typeof os.version === 'function' ? os.version() : `${os.type()} ${os.release()}`;
+}
+
+async function getSystemInfo() {
+  const cpus = os.cpus();
+  return {
+    llamaServer: await getLlamaServerInfo(),
+    cpu: {
+      model: cpus.length > 0 ? cpus[0].model.trim() : null,
+      cores: cpus.length
+    },
+    memory: getSystemMemory(),
+    os: {
+      name: osName(),
+      platform: os.platform(),
+      arch: os.arch(),
+      release: os.release()
+    },
+    node: process.version
+  };
+}
+
+module.exports = { parseVersionOutput, getLlamaServerInfo, getServerBackends, getSystemInfo };
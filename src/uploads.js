@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { Writable } = require('stream');
+const { GGUF_MAGIC } = require('./gguf');
+const { MODELS_DIR, ensureModelsDir, resolveModelName, modelLibraryPath } = require('./models');
+
+// Uploads are written to a hidden file in models/ (skipped by the library scan) and renamed when complete
+const UPLOAD_TEMP_PREFIX = '.upload-';
+
+// Part headers larger than this are not a browser upload
+const MAX_HEADER_SIZE = 16 * 1024;
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Errors carry the HTTP status to answer with
+function uploadError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseBoundary(contentType) {
+  const match = /^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]) : null;
+}
+
+// Field name and file name from a part's Content-Disposition header
+function parseContentDisposition(header) {
+  const name = /\bname="([^"]*)"/i.exec(header || '');
+  const filename = /\bfilename="([^"]*)"/i.exec(header || '');
+  return { name: name ? name[1] : null, filename: filename ? filename[1] : null };
+}
+
+// Streaming multipart/form-data reader. Calls handlers.part(headers) at the start of each part,
+// handlers.data(chunk) for its body and handlers.partEnd() after it; returned promises are awaited,
+// so a slow disk holds back the request instead of buffering it.
+class MultipartReader extends Writable {
+  constructor(boundary, handlers) {
+    super();
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.handlers = handlers;
+    // The first delimiter is not preceded by a line break
+    this.buffer = CRLF;
+    this.state = 'preamble';
+  }
+
+  _write(chunk, encoding, callback) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    this.process().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    callback(this.state === 'done' ? null : uploadError(400, 'Upload ended before the multipart body was complete'));
+  }
+
+  async process() {
+    for (;;) {
+      if (this.state === 'preamble' || this.state === 'body') {
+        const index = this.buffer.indexOf(this.delimiter);
+        if (index === -1) {
+          // Hold back enough bytes to recognise a delimiter split across chunks
+          const keep = Math.min(this.buffer.length, this.delimiter.length - 1);
+          const data = this.buffer.subarray(0, this.buffer.length - keep);
+          this.buffer = this.buffer.subarray(this.buffer.length - keep);
+          if (this.state === 'body' && data.length > 0) {
+            await this.handlers.data(data);
+          }
+          return;
+        }
+        if (this.state === 'body') {
+          if (index > 0) {
+            await this.handlers.data(this.buffer.subarray(0, index));
+          }
+          await this.handlers.partEnd();
+        }
+        this.buffer = this.buffer.subarray(index + this.delimiter.length);
+        this.state = 'delimiter';
+      }
+
+      if (this.state === 'delimiter') {
+        if (this.buffer.length < 2) return;
+        // "--" after a delimiter closes the body
+        if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+          this.state = 'done';
+        } else {
+          this.state = 'headers';
+        }
+      }
+
+      if (this.state === 'headers') {
+        const end = this.buffer.indexOf(HEADER_END);
+        if (end === -1) {
+          if (this.buffer.length > MAX_HEADER_SIZE) {
+            throw uploadError(400, 'Multipart part headers are too large');
+          }
+          return;
+        }
+        const headers = {};
+        for (const line of this.buffer.toString('utf-8', 0, end).split('\r\n')) {
+          const colon = line.indexOf(':');
+          if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+          }
+        }
+        this.buffer = this.buffer.subarray(end + HEADER_END.length);
+        this.state = 'body';
+        await this.handlers.part(headers);
+      }
+
+      if (this.state === 'done') {
+        // Anything after the closing delimiter is epilogue
+        this.buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  }
+}
+
+// Receive a multipart upload holding one .gguf file and save it into models/ as requestedName
+// (default: the uploaded file name). Returns { name, path, size }.
+async function receiveModelUpload(req, requestedName) {
+  const boundary = parseBoundary(req.headers['content-type']);
+  if (!boundary) {
+    throw uploadError(400, 'Expected a multipart/form-data upload');
+  }
+  if (requestedName && !resolveModelName(requestedName)) {
+    throw uploadError(400, `'${requestedName}' is not a valid model name; give a name ending in .gguf, e.g. "folder/model.gguf"`);
+  }
+
+  ensureModelsDir();
+  // fs.statfsSync needs Node 18.15; older versions skip the free space check
+  const length = parseInt(req.headers['content-length'], 10);
+  if (!Number.isNaN(length) && typeof fs.statfsSync === 'function') {
+    const { bavail, bsize } = fs.statfsSync(MODELS_DIR);
+    if (bavail * bsize < length) {
+      throw uploadError(507, 'Not enough free disk space for this upload');
+    }
+  }
+
+  const tempPath = path.join(MODELS_DIR, `${UPLOAD_TEMP_PREFIX}${crypto.randomUUID()}.part`);
+  let upload = null;
+  let current = null;
+
+  const handlers = {
+    async part(headers) {
+      const { filename } = parseContentDisposition(headers['content-disposition']);
+      // Other form fields are read and ignored
+      if (filename === null) {
+        current = null;
+        return;
+      }
+      if (upload) {
+        throw uploadError(400, 'Only one file can be uploaded at a time');
+      }
+
+      const name = requestedName || path.basename(filename.replace(/\\/g, '/'));
+      if (!resolveModelName(name)) {
+        throw uploadError(400, `'${name}' is not a .gguf file`);
+      }
+      if (fs.existsSync(resolveModelName(name))) {
+        throw uploadError(409, `Model '${name}' already exists`);
+      }
+      upload = { name, size: 0, head: Buffer.alloc(0), file: fs.createWriteStream(tempPath) };
+      current = upload;
+    },
+
+    async data(chunk) {
+      if (!current) return;
+
+      // Check the magic before writing anything else, so a wrong file is rejected right away
+      if (current.size < 4) {
+        current.head = Buffer.concat([current.head, chunk.subarray(0, 4 - current.size)]);
+        if (current.head.length === 4 && current.head.readUInt32LE(0) !== GGUF_MAGIC) {
+          throw uploadError(400, `'${current.name}' is not a GGUF file`);
+        }
+      }
+      current.size += chunk.length;
+      if (!current.file.write(chunk)) {
+        await once(current.file, 'drain');
+      }
+    },
+
+    async partEnd() {
+      if (!current) return;
+      if (current.size < 4) {
+        throw uploadError(400, `'${current.name}' is not a GGUF file`);
+      }
+      current.file.end();
+      await once(current.file, 'close');
+      current = null;
+    }
+  };
+
+  try {
+    await new Promise((resolve, reject) => {
+      const reader = new MultipartReader(boundary, handlers);
+      reader.on('finish', resolve);
+      reader.on('error', (error) => {
+        // Stop reading the rest of a rejected upload; the response closes the connection
+        req.unpipe(reader);
+        reject(error);
+      });
+      req.on('close', () => {
+        if (!req.complete) reject(uploadError(400, 'Upload was interrupted'));
+      });
+      req.pipe(reader);
+    });
+
+    if (!upload) {
+      throw uploadError(400, 'No file in the upload');
+    }
+    const target = resolveModelName(upload.name);
+    if (fs.existsSync(target)) {
+      throw uploadError(409, `Model '${upload.name}' already exists`);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(tempPath, target);
+    return { name: upload.name, path: modelLibraryPath(upload.name), size: upload.size };
+  } catch (error) {
+    // Wait for the file to close (it may still be opening) before removing it
+    if (upload && !upload.file.closed) {
+      upload.file.destroy();
+      await once(upload.file, 'close');
+    }
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Remove temp files of uploads cut short by a restart
+function removeStaleUploads() {
+  if (!fs.existsSync(MODELS_DIR)) return;
+  for (const file of fs.readdirSync(MODELS_DIR)) {
+    if (file.startsWith(UPLOAD_TEMP_PREFIX) && file.endsWith('.part')) {
+      fs.rmSync(path.join(MODELS_DIR, file), { force: true });
+    }
+  }
+}
+
+module.exports = { receiveModelUpload, removeStaleUploads };
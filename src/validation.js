@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+// Validate llama-server flags against config/llama-flags.json.
+// Besides type and options, a definition may declare:
+//   min / max / integer  - numeric range
+//   conflicts            - flags that cannot be given together with this one
+//   requires             - flags that must all be given when this one is used
+//   requiresOneOf        - at least one of these flags must be given when this one is used
+//   repeatable           - the flag takes a list of values, one --flag per entry
+//   scaled               - list entries are { path, scale } and emit --flag path scale
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// A flag counts as given when it has a value (booleans only when true)
+function isGiven(flags, name) {
+  return !isEmpty(flags[name]) && flags[name] !== false;
+}
+
+// A flag is used when it ends up on the command line, i.e. it is given and differs from its default
+function isUsed(flags, name, def) {
+  return isGiven(flags, name) && flags[name] !== def.default;
+}
+
+// Check a single value against its definition; returns an error message or null
+function validateValue(value, def) {
+  switch (def.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a number';
+      }
+      if (def.options && !def.options.includes(String(value))) {
+        return `must be one of: ${def.options.join(', ')}`;
+      }
+      if (def.integer && !Number.isInteger(value)) {
+        return 'must be a whole number';
+      }
+      if (def.min !== undefined && value < def.min) {
+        return def.max !== undefined ? `must be between ${def.min} and ${def.max}` : `must be at least ${def.min}`;
+      }
+      if (def.max !== undefined && value > def.max) {
+        return def.min !== undefined ? `must be between ${def.min} and ${def.max}` : `must be at most ${def.max}`;
+      }
+      return null;
+    }
+
+    case 'select':
+      if (typeof value !== 'string' || !def.options.includes(value)) {
+        return `must be one of: ${def.options.join(', ')}`;
+      }
+      return null;
+
+    default:
+      return typeof value === 'string' ? null : 'must be a string';
+  }
+}
+
+// Check one { path, scale } entry of a scaled flag; returns an error message or null
+function validateScaledEntry(entry) {
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    return 'must be an object with path and scale';
+  }
+  if (typeof entry.path !== 'string' || !entry.path) {
+    return 'needs a path';
+  }
+  if (typeof entry.scale !== 'number' || !Number.isFinite(entry.scale)) {
+    return 'scale must be a number';
+  }
+  return null;
+}
+
+// Check a list flag entry by entry; a single value counts as a list of one
+function validateRepeatable(value, def) {
+  const entries = Array.isArray(value) ? value : [value];
+  for (let i = 0; i < entries.length; i++) {
+    const error = def.scaled ? validateScaledEntry(entries[i]) : validateValue(entries[i], def);
+    if (error) {
+      return entries.length > 1 ? `entry ${i + 1} ${error}` : error;
+    }
+  }
+  return null;
+}
+
+// Validate a set of flags. Returns an object mapping flag names to an error message; empty when valid.
+function validateFlags(flags, flagDefinitions) {
+  const errors = {};
+
+  for (const [name, value] of Object.entries(flags)) {
+    const def = flagDefinitions[name];
+    if (!def) {
+      errors[name] = `Unknown flag --${name}`;
+      continue;
+    }
+    if (isEmpty(value) || value === def.default) continue;
+
+    const error = def.repeatable ? validateRepeatable(value, def) : validateValue(value, def);
+    if (error) {
+      errors[name] = `--${name} ${error}`;
+    }
+  }
+
+  for (const [name, def] of Object.entries(flagDefinitions)) {
+    if (errors[name]) continue;
+
+    if (def.conflicts && isGiven(flags, name)) {
+      const conflict = def.conflicts.find(other => isGiven(flags, other));
+      if (conflict) {
+        errors[name] = `--${name} cannot be used together with --${conflict}`;
+        continue;
+      }
+    }
+
+    if (!isUsed(flags, name, def)) continue;
+
+    const missing = (def.requires || []).filter(other => !isGiven(flags, other));
+    if (missing.length > 0) {
+      errors[name] = `--${name} requires ${missing.map(other => `--${other}`).join(' and ')}`;
+    } else if (def.requiresOneOf && !def.requiresOneOf.some(other => isGiven(flags, other))) {
+      errors[name] = `--${name} requires one of ${def.requiresOneOf.map(other => `--${other}`).join(', ')}`;
+    }
+  }
+
+  return errors;
+}
+
+// Resolve symlinks in the part of a path that exists, so a link inside an allowed folder
+// cannot lead out of it
+function realPath(target) {
+  let existing = path.resolve(target);
+  const rest = [];
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    rest.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+  try {
+    return path.join(fs.realpathSync(existing), ...rest);
+  } catch (e) {
+    return path.resolve(target);
+  }
+}
+
+function isInside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// Check that file flags only point into the allowed folders (absolute paths). Returns an object
+// mapping flag names to an error message, like validateFlags.
+function validateFilePaths(flags, flagDefinitions, allowedDirs) {
+  const errors = {};
+  const dirs = allowedDirs.map(realPath);
+
+  for (const [name, value] of Object.entries(flags)) {
+    const def = flagDefinitions[name];
+    if (!def || def.type !== 'file' || isEmpty(value) || value === def.default) continue;
+
+    const entries = Array.isArray(value) ? value : [value];
+    const paths = entries.map(entry => (def.scaled && entry ? entry.path : entry)).filter(entry => typeof entry === 'string');
+    const outside = paths.find(entry => !dirs.some(dir => isInside(dir, realPath(entry))));
+    if (outside !== undefined) {
+      errors[name] = `--${name} must point into an allowed folder (${allowedDirs.join(', ')}); '${outside}' is outside them`;
+    }
+  }
+  return errors;
+}
+
+module.exports = { validateFlags, validateFilePaths };
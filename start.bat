@@ -24,4 +24,4 @@ echo Starting Yapper...
 echo.
 
 REM Start the server
-call npm start
+call npm start -- %*
@@ -21,4 +21,4 @@ echo "Starting Yapper..."
 echo ""
 
 # Start the server
-npm start
+npm start -- "$@"